@@ -3,22 +3,162 @@ const CONFIG = {
     AIRTABLE: {
         BASE_ID: 'appFZTp4rpbWSdLVO',
         TABLE_NAME: 'Videos',
-        API_URL: 'https://api.airtable.com/v0'
+        PLAYLISTS_TABLE_NAME: 'Playlists',
+        API_URL: 'https://api.airtable.com/v0',
+        PUBLIC_URL: '', // Read-only endpoint (proxy or shared view) that needs no token
+        PAGE_SIZE: 100,
+        BATCH_SIZE: 10, // Airtable's limit for records per create/update request
+        // Columns a base may lack; writes are retried without them instead of failing
+        OPTIONAL_FIELDS: ['sourceUrl']
+    },
+    IMPORT: {
+        MAX_ROWS: 500,
+        ENRICH_CONCURRENCY: 4
+    },
+    EXPORT: {
+        FORMATS: {
+            json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+            csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+            m3u8: { label: 'M3U8', extension: 'm3u8', mime: 'application/vnd.apple.mpegurl' },
+            xspf: { label: 'XSPF', extension: 'xspf', mime: 'application/xspf+xml' },
+            markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' },
+            html: { label: 'HTML', extension: 'html', mime: 'text/html' },
+            opml: { label: 'OPML', extension: 'opml', mime: 'text/x-opml' }
+        },
+        // Media players can only open files, so playlist formats skip embed-only platforms
+        PLAYABLE_TYPES: ['direct', 'drive']
+    },
+    SETTINGS: {
+        STORAGE_KEY: 'onlinehub.settings',
+        PBKDF2_ITERATIONS: 250000
+    },
+    OFFLINE: {
+        QUEUE_KEY: 'onlinehub.offlineQueue', // Suffixed per library, see OfflineWriteQueue.storageKeyFor()
+        RETRY_DELAY: 15000,
+        MAX_RETRY_DELAY: 300000,
+        SERVICE_WORKER_URL: 'sw.js',
+        LIBRARY_CACHE_PREFIX: 'onlinehub-library-' // Must match LIBRARY_CACHE in sw.js
+    },
+    STATE: {
+        STORAGE_KEY: 'onlinehub.state',
+        VERSION: 5,
+        SAVE_DELAY: 500
+    },
+    PLAYBACK: {
+        YOUTUBE_API_URL: 'https://www.youtube.com/iframe_api',
+        VIMEO_API_URL: 'https://player.vimeo.com/api/player.js',
+        HLS_JS_URL: 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js',
+        DASH_JS_URL: 'https://cdn.jsdelivr.net/npm/dashjs@4/dist/dash.all.min.js',
+        API_LOAD_TIMEOUT: 8000,
+        PROGRESS_SAVE_INTERVAL: 5000,
+        MIN_RESUME_SECONDS: 5,
+        COMPLETE_THRESHOLD: 0.95,
+        QUEUE_MODES: ['off', 'autoplay', 'repeat_one', 'repeat_all', 'shuffle'],
+        UP_NEXT_DELAY: 5,
+        CONTINUE_WATCHING_LIMIT: 6
+    },
+    HEALTH: {
+        CONCURRENCY: 4,
+        PROBE_TIMEOUT: 8000,
+        STATUSES: {
+            broken: 'Broken',
+            private: 'Private',
+            region_blocked: 'Region-blocked',
+            unknown: 'Unknown',
+            ok: 'Available'
+        }
+    },
+    CAPTIONS: {
+        SIZES: { small: '80%', medium: '100%', large: '140%' },
+        BACKGROUNDS: { none: 'transparent', semi: 'rgba(0, 0, 0, 0.6)', solid: '#000' }
+    },
+    DUPLICATES: {
+        // Platforms without a stable id in the URL are keyed by the URL itself
+        URL_KEYED_TYPES: ['facebook', 'twitter', 'photos', 'direct', 'other'],
+        // Query parameters that never change which video a URL points at
+        IGNORED_URL_PARAMS: ['t', 'start', 'time_continue', 'si', 'feature', 'fbclid', 'gclid', 'igshid', 'mibextid', 'ref', 's']
+    },
+    YOUTUBE: {
+        // Both endpoints can point at the bundled stub (stubs/youtube-oembed.json and
+        // stubs/youtube-feed.xml) to test imports without reaching YouTube
+        OEMBED_URL: 'https://www.youtube.com/oembed',
+        FEED_URL: 'https://www.youtube.com/feeds/videos.xml',
+        // The feed and channel pages send no CORS headers, so cross-origin requests go
+        // through this proxy; {url} is replaced with the encoded target URL
+        PROXY_URL: '',
+        // The feed never returns more than 15 entries; with a Data API key the
+        // whole list is read page by page instead
+        FEED_MAX_ENTRIES: 15,
+        API_KEY: '',
+        API_URL: 'https://www.googleapis.com/youtube/v3',
+        API_PAGE_SIZE: 50,
+        API_MAX_PAGES: 20
+    },
+    STORAGE: {
+        BACKEND: 'airtable', // 'airtable' | 'indexeddb'
+        INDEXEDDB: {
+            DB_NAME: 'OnlineHub',
+            STORE_NAME: 'videos',
+            PLAYLIST_STORE_NAME: 'playlists',
+            VERSION: 2
+        }
     },
     SEARCH: {
         DEBOUNCE_DELAY: 100,
         MIN_SEARCH_LENGTH: 2,
         MAX_SUGGESTIONS: 10,
-        SEARCH_FIELDS: ['title', 'description', 'type', 'tags', 'category', 'author'],
+        MAX_RECENT_SUGGESTIONS: 3,
+        SUGGESTIONS_PER_TYPE: 4,
+        SEARCH_FIELDS: ['title', 'description', 'type', 'tags', 'category', 'author', 'transcript'],
         CACHE_DURATION: 10 * 60 * 1000,
         FUZZY_SEARCH: true,
-        ENABLE_SUGGESTIONS: true
+        ENABLE_SUGGESTIONS: true,
+        DURATION_BUCKETS: {
+            short: { label: 'Short (< 5 min)', min: 0, max: 5 * 60 },
+            medium: { label: 'Medium (5-15 min)', min: 5 * 60, max: 15 * 60 },
+            long: { label: 'Long (> 15 min)', min: 15 * 60, max: Infinity }
+        },
+        STATUS_FILTERS: {
+            recent: 'Recently added',
+            popular: 'Popular',
+            watched: 'Watched'
+        },
+        FIELD_LABELS: { title: 'Title', description: 'Description', type: 'Platform', transcript: 'Transcript' },
+        ADVANCED_FILTER_INPUTS: {
+            fields: { searchTitle: 'title', searchDescription: 'description', searchPlatform: 'type', searchTranscript: 'transcript' },
+            durations: { filterShort: 'short', filterMedium: 'medium', filterLong: 'long' },
+            statuses: { filterRecent: 'recent', filterPopular: 'popular', filterWatched: 'watched' }
+        },
+        RECENT_DAYS: 14,
+        POPULARITY_THRESHOLD: 10,
+        // Transcripts are long and wordy, so a spoken match ranks below any metadata match
+        FIELD_WEIGHTS: { title: 3, description: 2, tags: 1.5, author: 1.2, category: 1, type: 1, transcript: 0.6 },
+        TRANSCRIPT_SNIPPET_LENGTH: 120,
+        MIN_TERM_LENGTH: 2,
+        PREFIX_WEIGHT: 0.8,
+        TYPO_WEIGHT: 0.6,
+        BM25_K1: 1.2,
+        BM25_B: 0.75,
+        // Query language keys and the video field each one filters on
+        QUERY_FIELDS: {
+            author: 'author',
+            tag: 'tags',
+            tags: 'tags',
+            category: 'category',
+            type: 'type',
+            platform: 'type',
+            duration: 'duration',
+            added: 'createdAt',
+            transcript: 'transcript'
+        }
     },
     PERFORMANCE: {
         LAZY_LOAD_THRESHOLD: 100,
         MAX_CACHE_SIZE: 100,
         PRELOAD_NEIGHBORS: 2,
-        THUMBNAIL_QUALITY: 'medium'
+        THUMBNAIL_QUALITY: 'medium',
+        VIRTUAL_ROW_HEIGHT: 130,
+        VIRTUAL_OVERSCAN: 6
     },
     UI: {
         THEMES: ['light', 'dark', 'auto'],
@@ -79,180 +219,184 @@ class PerformanceUtils {
 // ==================== ENHANCED SUPPORTING SERVICES ====================
 class DuplicatePreventionService {
     constructor() {
-        this.videoHashes = new Map();
-        this.similarityThreshold = 0.85;
-    }
-
-    generateVideoHash(videoData) {
-        const content = `${videoData.videoId}-${videoData.type}-${videoData.title}`.toLowerCase();
-        let hash = 0;
-        for (let i = 0; i < content.length; i++) {
-            const char = content.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
-    }
-
-    isDuplicate(videoData, existingVideos) {
-        const hash = this.generateVideoHash(videoData);
-        
-        if (this.videoHashes.has(hash)) {
-            return true;
-        }
-        
-        for (const existingVideo of existingVideos) {
-            if (this.checkSimilarity(videoData, existingVideo, this.similarityThreshold)) {
-                return true;
-            }
-        }
-        
-        this.videoHashes.set(hash, videoData);
-        return false;
-    }
-
-    checkSimilarity(video1, video2, threshold = 0.8) {
-        const titleSimilarity = this.calculateSimilarity(video1.title, video2.title);
-        const urlSimilarity = video1.originalUrl && video2.originalUrl ? 
-            this.calculateSimilarity(video1.originalUrl, video2.originalUrl) : 0;
-        
-        return Math.max(titleSimilarity, urlSimilarity) > threshold;
+        // Canonical (platform, id) key -> library record, rebuilt whenever the library changes
+        this.videoKeys = new Map();
     }
 
-    calculateSimilarity(str1, str2) {
-        if (!str1 || !str2) return 0;
-        
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        if (longer.length === 0) return 1.0;
-        
-        return (longer.length - this.editDistance(longer, shorter)) / parseFloat(longer.length);
+    indexLibrary(videos) {
+        this.videoKeys.clear();
+        videos.forEach(video => {
+            const key = UniversalVideoParser.getCanonicalKey(video);
+            if (key && !this.videoKeys.has(key)) this.videoKeys.set(key, video);
+        });
     }
 
-    editDistance(s1, s2) {
-        s1 = s1.toLowerCase();
-        s2 = s2.toLowerCase();
-        
-        const costs = new Array(s2.length + 1);
-        for (let i = 0; i <= s1.length; i++) {
-            let lastValue = i;
-            for (let j = 0; j <= s2.length; j++) {
-                if (i === 0) {
-                    costs[j] = j;
-                } else {
-                    if (j > 0) {
-                        let newValue = costs[j - 1];
-                        if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
-                            newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-                        }
-                        costs[j - 1] = lastValue;
-                        lastValue = newValue;
-                    }
-                }
-            }
-            if (i > 0) costs[s2.length] = lastValue;
+    // Returns the record already stored for the same platform and id, if any.
+    // Titles are deliberately ignored: un-enriched adds all share placeholder titles.
+    findDuplicate(videoData, existingVideos = null) {
+        const key = UniversalVideoParser.getCanonicalKey(videoData);
+        if (!key) return null;
+        if (existingVideos) {
+            return existingVideos.find(video => UniversalVideoParser.getCanonicalKey(video) === key) || null;
         }
-        return costs[s2.length];
+        return this.videoKeys.get(key) || null;
     }
 }
 
 class VideoAvailabilityChecker {
     constructor() {
-        this.timeout = 5000;
+        this.timeout = CONFIG.HEALTH.PROBE_TIMEOUT;
         this.cache = new Map();
     }
 
+    // Only a definite answer blocks playback; "unknown" gives the video the benefit of the doubt
     async checkVideoAvailability(video) {
-        const cacheKey = `availability-${video.id}`;
+        const cacheKey = `availability-${video.id || video.videoId}`;
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        try {
-            let isAvailable = false;
+        const { status } = await this.probe(video);
+        const isAvailable = status === 'ok' || status === 'unknown';
+        this.cache.set(cacheKey, isAvailable);
+        setTimeout(() => this.cache.delete(cacheKey), 60000); // Cache for 1 minute
+        return isAvailable;
+    }
 
-            if (video.type === 'direct' || video.url.startsWith('http')) {
-                isAvailable = await this.checkDirectUrl(video.url);
-            } else {
-                isAvailable = await this.checkWithFallback(video);
+    // Resolves to { status, detail } where status is one of CONFIG.HEALTH.STATUSES; never throws
+    async probe(video) {
+        try {
+            switch (video.type) {
+                case 'youtube':
+                    return await this.probeYouTube(video.videoId);
+                case 'youtube_playlist':
+                    return await this.probeOEmbed(`${CONFIG.YOUTUBE.OEMBED_URL}?url=${encodeURIComponent(
+                        `https://www.youtube.com/playlist?list=${String(video.videoId).replace(/^playlist-/, '')}`)}&format=json`);
+                case 'vimeo':
+                    return await this.probeVimeo(video.videoId);
+                case 'dailymotion':
+                    return await this.probeOEmbed(`https://www.dailymotion.com/services/oembed?url=${encodeURIComponent(
+                        `https://www.dailymotion.com/video/${video.videoId}`)}&format=json`);
+                case 'drive':
+                    return await this.probeDrive(video.videoId);
+                case 'direct':
+                    return await this.probeDirectUrl(video.url || (video.embedUrls || [])[0] || video.originalUrl);
+                default:
+                    return { status: 'unknown', detail: 'This platform cannot be checked from the browser' };
             }
-
-            this.cache.set(cacheKey, isAvailable);
-            setTimeout(() => this.cache.delete(cacheKey), 60000); // Cache for 1 minute
-            return isAvailable;
         } catch (error) {
-            console.warn('Availability check failed:', error);
-            return false;
+            console.warn('Availability probe failed:', error);
+            return { status: 'unknown', detail: error.message };
         }
     }
 
-    async checkDirectUrl(url) {
-        try {
-            const response = await fetch(url, { 
-                method: 'HEAD',
-                mode: 'no-cors'
-            });
-            return true;
-        } catch (error) {
-            // Try GET request as fallback
-            try {
-                const response = await fetch(url, { 
-                    method: 'GET',
-                    mode: 'no-cors',
-                    signal: AbortSignal.timeout(this.timeout)
-                });
-                return true;
-            } catch {
-                return false;
-            }
-        }
+    statusFromHttp(httpStatus) {
+        if (httpStatus >= 200 && httpStatus < 400) return { status: 'ok', detail: '' };
+        if (httpStatus === 401 || httpStatus === 403) return { status: 'private', detail: `Access denied (HTTP ${httpStatus})` };
+        if (httpStatus === 400 || httpStatus === 404 || httpStatus === 410) return { status: 'broken', detail: `Not found (HTTP ${httpStatus})` };
+        if (httpStatus === 451) return { status: 'region_blocked', detail: 'Unavailable in your region (HTTP 451)' };
+        return { status: 'unknown', detail: `Unexpected response (HTTP ${httpStatus})` };
     }
 
-    async checkWithFallback(video) {
-        switch(video.type) {
-            case 'youtube':
-                return await this.checkYouTubeAvailability(video.videoId);
-            case 'drive':
-                return await this.checkDriveAvailability(video.videoId);
-            case 'vimeo':
-                return await this.checkVimeoAvailability(video.videoId);
-            default:
-                return true;
-        }
+    async probeOEmbed(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+        return this.statusFromHttp(response.status);
     }
 
-    async checkYouTubeAvailability(videoId) {
+    async probeYouTube(videoId) {
         try {
-            const response = await fetch(`https://img.youtube.com/vi/${videoId}/hqdefault.jpg`, {
-                signal: AbortSignal.timeout(this.timeout)
-            });
-            return response.status === 200;
+            return await this.probeOEmbed(`${CONFIG.YOUTUBE.OEMBED_URL}?url=${encodeURIComponent(
+                `https://www.youtube.com/watch?v=${videoId}`)}&format=json`);
         } catch {
-            return false;
+            // Missing videos still serve a 120px-wide placeholder thumbnail instead of failing
+            const image = await this.probeImage(`https://img.youtube.com/vi/${videoId}/mqdefault.jpg`);
+            if (image === null) return { status: 'unknown', detail: 'Timed out' };
+            return image && image.width > 120
+                ? { status: 'ok', detail: '' }
+                : { status: 'broken', detail: 'No thumbnail; the video was probably removed' };
         }
     }
 
-    async checkDriveAvailability(fileId) {
+    async probeVimeo(videoId) {
         try {
-            const response = await fetch(`https://drive.google.com/thumbnail?id=${fileId}&sz=w100`, {
-                signal: AbortSignal.timeout(this.timeout)
-            });
-            return response.status === 200;
+            return await this.probeOEmbed(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(`https://vimeo.com/${videoId}`)}`);
         } catch {
-            return false;
+            const image = await this.probeImage(`https://vumbnail.com/${videoId}.jpg`);
+            if (image === null) return { status: 'unknown', detail: 'Timed out' };
+            return image ? { status: 'ok', detail: '' } : { status: 'broken', detail: 'No thumbnail available' };
         }
     }
 
-    async checkVimeoAvailability(videoId) {
+    // Drive answers the same way for deleted files and files that are no longer shared
+    async probeDrive(fileId) {
+        const image = await this.probeImage(`https://drive.google.com/thumbnail?id=${fileId}&sz=w100`);
+        if (image === null) return { status: 'unknown', detail: 'Timed out' };
+        // Drive also withholds thumbnails for files it hasn't processed, so a miss proves nothing
+        return image ? { status: 'ok', detail: '' } : { status: 'unknown', detail: 'No public thumbnail; may be private or deleted' };
+    }
+
+    // A readable HEAD gives a real status code; when CORS hides it, fall back to asking a
+    // media element, which can load cross-origin files without exposing the response
+    async probeDirectUrl(url) {
+        if (!url) return { status: 'broken', detail: 'No URL stored' };
+
+        // Streaming engines need a readable manifest anyway, and most browsers cannot
+        // hand a manifest to a bare media element, so streams skip the media probe
+        if (UniversalVideoParser.getStreamFormat(url)) {
+            try {
+                const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+                return this.statusFromHttp(response.status);
+            } catch {
+                return { status: 'unknown', detail: 'Manifest could not be read (CORS or network)' };
+            }
+        }
+
         try {
-            const response = await fetch(`https://vumbnail.com/${videoId}.jpg`, {
-                signal: AbortSignal.timeout(this.timeout)
-            });
-            return response.status === 200;
+            const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(this.timeout) });
+            const result = this.statusFromHttp(response.status);
+            if (result.status !== 'unknown') return result;
         } catch {
-            return false;
+            // CORS, network error or timeout: the media probe below decides
         }
+        return this.probeMedia(url);
+    }
+
+    probeMedia(url) {
+        return new Promise(resolve => {
+            const media = document.createElement('video');
+            const finish = (result) => {
+                clearTimeout(timer);
+                media.removeAttribute('src');
+                media.load();
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish({ status: 'unknown', detail: 'Timed out' }), this.timeout);
+            media.preload = 'metadata';
+            media.muted = true;
+            media.onloadedmetadata = () => finish({ status: 'ok', detail: '' });
+            media.onerror = () => finish({ status: 'broken', detail: 'File could not be loaded' });
+            media.src = url;
+        });
+    }
+
+    // Resolves to the image size, false on error, or null on timeout
+    probeImage(url) {
+        return new Promise(resolve => {
+            const img = new Image();
+            const timer = setTimeout(() => {
+                img.onload = img.onerror = null;
+                resolve(null);
+            }, this.timeout);
+            img.onload = () => {
+                clearTimeout(timer);
+                resolve({ width: img.naturalWidth, height: img.naturalHeight });
+            };
+            img.onerror = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            img.src = url;
+        });
     }
 }
 
@@ -268,6 +412,10 @@ class ThumbnailManager {
         };
     }
 
+    getCachedThumbnail(video, quality = 'medium') {
+        return this.imageCache.get(`${video.id}-${quality}`) || null;
+    }
+
     async getEnhancedThumbnail(video, quality = 'medium') {
         const cacheKey = `${video.id}-${quality}`;
         
@@ -381,6 +529,7 @@ class VideoAnalytics {
     constructor() {
         this.stats = new Map();
         this.sessionStart = Date.now();
+        this.onStatsChange = null;
     }
 
     trackVideoEvent(event, video, metadata = {}) {
@@ -442,6 +591,15 @@ class VideoAnalytics {
 
     saveVideoStats(videoId, stats) {
         this.stats.set(videoId, stats);
+        if (this.onStatsChange) this.onStatsChange(videoId, stats);
+    }
+
+    exportStats() {
+        return Array.from(this.stats.entries());
+    }
+
+    importStats(entries) {
+        this.stats = new Map(Array.isArray(entries) ? entries : []);
     }
 
     getPopularVideos(videos, limit = 10) {
@@ -470,6 +628,64 @@ class VideoAnalytics {
     }
 }
 
+class PlaybackProgressTracker {
+    constructor() {
+        this.positions = new Map();
+        this.onChange = null;
+    }
+
+    update(videoId, currentTime, duration) {
+        if (!videoId || !Number.isFinite(currentTime)) return;
+
+        const hasDuration = Number.isFinite(duration) && duration > 0;
+        const finished = hasDuration && currentTime >= duration * CONFIG.PLAYBACK.COMPLETE_THRESHOLD;
+
+        if (currentTime < CONFIG.PLAYBACK.MIN_RESUME_SECONDS || finished) {
+            this.clear(videoId);
+            return;
+        }
+
+        this.positions.set(videoId, {
+            time: Math.floor(currentTime),
+            duration: hasDuration ? Math.floor(duration) : 0,
+            updatedAt: new Date().toISOString()
+        });
+        this.notify();
+    }
+
+    getPosition(videoId) {
+        return this.positions.get(videoId) || null;
+    }
+
+    getResumeTime(videoId) {
+        const position = this.getPosition(videoId);
+        return position ? position.time : 0;
+    }
+
+    clear(videoId) {
+        if (this.positions.delete(videoId)) this.notify();
+    }
+
+    getInProgress(limit = CONFIG.PLAYBACK.CONTINUE_WATCHING_LIMIT) {
+        return Array.from(this.positions.entries())
+            .map(([videoId, position]) => ({ videoId, ...position }))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .slice(0, limit);
+    }
+
+    export() {
+        return Object.fromEntries(this.positions);
+    }
+
+    import(positions) {
+        this.positions = new Map(Object.entries(positions || {}));
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+}
+
 class PerformanceOptimizer {
     constructor() {
         this.intersectionObserver = new IntersectionObserver(
@@ -519,6 +735,13 @@ class PerformanceOptimizer {
         this.observedElements.delete(element);
     }
 
+    // Rows unmounted by the virtual list should not stay observed
+    releaseDetached() {
+        this.observedElements.forEach(element => {
+            if (!element.isConnected) this.unobserveElement(element);
+        });
+    }
+
     preloadResources(urls) {
         return PerformanceUtils.preloadImages(urls);
     }
@@ -530,6 +753,265 @@ class PerformanceOptimizer {
     }
 }
 
+// ==================== OFFLINE WRITE QUEUE ====================
+// Adds and edits made while a network-backed library is offline wait here, in
+// localStorage so they survive a reload, and are replayed in order on reconnect.
+// Changes the backend definitively refuses move to `rejected` for the user to review.
+class OfflineWriteQueue {
+    constructor(storageKey = CONFIG.OFFLINE.QUEUE_KEY) {
+        this.storageKey = storageKey;
+        this.operations = [];
+        this.rejected = [];
+        this.load();
+    }
+
+    static isLocalId(videoId) {
+        return String(videoId).startsWith('offline_');
+    }
+
+    // Each library gets its own queue so changes never replay into a different base or backend
+    static storageKeyFor({ backend, baseId, tableName }) {
+        const library = backend === 'airtable' ? [backend, baseId, tableName] : [backend];
+        return `${CONFIG.OFFLINE.QUEUE_KEY}:${library.map(part => encodeURIComponent(part || '')).join(':')}`;
+    }
+
+    // A 4xx is a verdict on the change itself; timeouts, 408, 429 and 5xx are the connection
+    // or the service having a bad moment, so those changes stay queued. Errors without a
+    // status are the network when fetch failed or timed out, and otherwise come from the
+    // repository itself (e.g. "Video not found"), which retrying won't change.
+    static isDefiniteRejection(error) {
+        if (!error) return false;
+        const { status } = error;
+        if (status) return status >= 400 && status < 500 && status !== 408 && status !== 429;
+        return !['TypeError', 'AbortError', 'TimeoutError'].includes(error.name);
+    }
+
+    static generateId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            // Older versions stored the bare operations array
+            const { operations = [], rejected = [] } = Array.isArray(stored) ? { operations: stored } : stored;
+            const withId = op => ({ id: op.id || OfflineWriteQueue.generateId('op'), ...op });
+            this.operations = Array.isArray(operations) ? operations.map(withId) : [];
+            this.rejected = Array.isArray(rejected) ? rejected.map(withId) : [];
+        } catch {
+            console.warn('Discarding unreadable offline queue');
+        }
+    }
+
+    save() {
+        try {
+            if (this.operations.length > 0 || this.rejected.length > 0) {
+                localStorage.setItem(this.storageKey, JSON.stringify({ operations: this.operations, rejected: this.rejected }));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not persist offline queue:', error);
+        }
+    }
+
+    // Returns a stand-in record with a local id until the backend assigns a real one
+    enqueueAdd(videoData) {
+        const videoId = OfflineWriteQueue.generateId('offline');
+        const queuedAt = new Date().toISOString();
+        this.operations.push({ id: OfflineWriteQueue.generateId('op'), kind: 'add', videoId, data: videoData, queuedAt });
+        this.save();
+        return { createdAt: queuedAt, ...videoData, id: videoId, pendingSync: true };
+    }
+
+    // Edits to a video that hasn't been created yet fold into its queued (or rejected) add
+    enqueueUpdate(videoId, changes) {
+        const pendingAdd = [...this.operations, ...this.rejected].find(op => op.kind === 'add' && op.videoId === videoId);
+        if (pendingAdd) {
+            pendingAdd.data = { ...pendingAdd.data, ...changes };
+        } else {
+            this.operations.push({ id: OfflineWriteQueue.generateId('op'), kind: 'update', videoId, changes, queuedAt: new Date().toISOString() });
+        }
+        this.save();
+    }
+
+    discard(videoId) {
+        this.operations = this.operations.filter(op => op.videoId !== videoId);
+        this.rejected = this.rejected.filter(op => op.videoId !== videoId);
+        this.save();
+    }
+
+    hasPending(videoId) {
+        return [...this.operations, ...this.rejected].some(op => op.videoId === videoId);
+    }
+
+    // Puts a rejected change back at the end of the queue, e.g. after the user added a missing field
+    retryRejected(operationId) {
+        const op = this.rejected.find(item => item.id === operationId);
+        if (!op) return null;
+        this.rejected = this.rejected.filter(item => item !== op);
+        const { error, rejectedAt, ...operation } = op;
+        this.operations.push(operation);
+        this.save();
+        return operation;
+    }
+
+    discardRejected(operationId) {
+        const op = this.rejected.find(item => item.id === operationId);
+        if (!op) return null;
+        this.rejected = this.rejected.filter(item => item !== op);
+        this.save();
+        return op;
+    }
+
+    // Layers queued and rejected work over a freshly loaded (or cached) library
+    applyTo(videos) {
+        const unsynced = [...this.operations, ...this.rejected];
+        const merged = videos.map(video => {
+            const updates = unsynced.filter(op => op.kind === 'update' && op.videoId === video.id);
+            if (updates.length === 0) return video;
+            return Object.assign({ ...video, pendingSync: true }, ...updates.map(op => op.changes));
+        });
+        unsynced
+            .filter(op => op.kind === 'add')
+            .forEach(op => merged.push({ createdAt: op.queuedAt, ...op.data, id: op.videoId, pendingSync: true }));
+        return merged;
+    }
+
+    // Stops at the first failure that might be temporary so nothing behind it is lost or reordered
+    async flush(repository) {
+        const created = new Map();
+        const rejected = [];
+        let synced = 0;
+        let stalled = false;
+
+        while (this.operations.length > 0) {
+            const op = this.operations[0];
+            try {
+                if (op.kind === 'add') {
+                    created.set(op.videoId, await repository.addVideo(op.data));
+                } else {
+                    await repository.updateVideo(op.videoId, op.changes);
+                }
+                synced++;
+            } catch (error) {
+                if (!OfflineWriteQueue.isDefiniteRejection(error)) {
+                    console.warn('Offline sync paused, will retry:', error);
+                    stalled = true;
+                    break;
+                }
+                console.error('Offline change rejected by the backend:', error);
+                const entry = { ...op, error: error.message, rejectedAt: new Date().toISOString() };
+                this.rejected.push(entry);
+                rejected.push(entry);
+            }
+            this.operations.shift();
+            this.save();
+        }
+
+        return { synced, rejected, created, stalled };
+    }
+}
+
+// ==================== VIRTUALIZED VIDEO LIST ====================
+// Mounts only the rows inside the scroll viewport (plus overscan) of a fixed-height list
+class VirtualVideoList {
+    constructor(container, { renderItem, onRender = () => {} }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.onRender = onRender;
+        this.items = [];
+        this.inner = null;
+        this.rowHeight = CONFIG.PERFORMANCE.VIRTUAL_ROW_HEIGHT;
+        this.measured = false;
+        this.range = { start: 0, end: 0 };
+        this.frame = null;
+
+        this.container.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+        window.addEventListener('resize', PerformanceUtils.debounce(() => {
+            this.measured = false;
+            this.render(true);
+        }, 150));
+    }
+
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    // Keeps the first visible row in place when it survives the change, otherwise the raw offset
+    setItems(items) {
+        const scrollTop = this.container.scrollTop;
+        const anchor = this.items[Math.floor(scrollTop / this.rowHeight)];
+        const anchorOffset = scrollTop % this.rowHeight;
+
+        this.items = items;
+        if (!this.inner || !this.inner.isConnected) {
+            this.container.innerHTML = '<div class="virtual-list-inner"></div>';
+            this.inner = this.container.firstElementChild;
+        }
+        this.inner.style.height = `${items.length * this.rowHeight}px`;
+
+        const anchorIndex = anchor ? items.findIndex(item => item.id === anchor.id) : -1;
+        this.container.scrollTop = anchorIndex !== -1 ? anchorIndex * this.rowHeight + anchorOffset : scrollTop;
+        this.render(true);
+    }
+
+    clear() {
+        this.items = [];
+        this.inner = null;
+        this.range = { start: 0, end: 0 };
+    }
+
+    render(force = false) {
+        if (!this.inner) return;
+
+        const overscan = CONFIG.PERFORMANCE.VIRTUAL_OVERSCAN;
+        const scrollTop = this.container.scrollTop;
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - overscan);
+        const end = Math.min(this.items.length, Math.ceil((scrollTop + viewport) / this.rowHeight) + overscan);
+
+        if (!force && start === this.range.start && end === this.range.end) return;
+        this.range = { start, end };
+
+        const visible = this.items.slice(start, end);
+        this.inner.style.height = `${this.items.length * this.rowHeight}px`;
+        this.inner.style.paddingTop = `${start * this.rowHeight}px`;
+        this.inner.innerHTML = visible.map((item, i) => this.renderItem(item, start + i)).join('');
+
+        if (!this.measured && this.measure()) return;
+        this.onRender(visible);
+    }
+
+    // Replaces the row height estimate with the real one; returns true when a re-render was needed
+    measure() {
+        const row = this.inner.firstElementChild;
+        if (!row) return false;
+
+        const style = getComputedStyle(row);
+        const height = row.offsetHeight + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+        if (!height) return false;
+
+        this.measured = true;
+        if (Math.abs(height - this.rowHeight) < 0.5) return false;
+        this.rowHeight = height;
+        this.render(true);
+        return true;
+    }
+
+    getRow(id) {
+        return this.inner ? this.inner.querySelector(`.video-item[data-video-id="${CSS.escape(id)}"]`) : null;
+    }
+
+    getMountedRows() {
+        return this.inner ? [...this.inner.querySelectorAll('.video-item')] : [];
+    }
+}
+
 // ==================== ENHANCED UNIVERSAL VIDEO PARSER ====================
 class UniversalVideoParser {
     static parseURL(url) {
@@ -548,6 +1030,7 @@ class UniversalVideoParser {
             this.parseStreamable,
             this.parseDropbox,
             this.parseGooglePhotos,
+            this.parseStreamManifest,
             this.parseDirectVideo
         ];
         
@@ -566,7 +1049,7 @@ class UniversalVideoParser {
 
     static parseYouTube(url) {
         const patterns = [
-            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/|youtube\.com\/shorts\/)([^&?\/#]+)/,
+            /(?:youtube\.com\/watch\?(?:.*&)?v=|youtu\.be\/|youtube(?:-nocookie)?\.com\/embed\/(?!videoseries)|youtube\.com\/v\/|youtube\.com\/shorts\/|youtube\.com\/live\/)([^&?\/#]+)/,
             /youtube\.com\/playlist\?list=([^&?\/#]+)/,
             /music\.youtube\.com\/watch\?v=([^&?\/#]+)/
         ];
@@ -608,6 +1091,44 @@ class UniversalVideoParser {
         return null;
     }
 
+    // Playlists and channels that can be expanded; a channel's uploads list is its id with UU for UC.
+    // @handle, /c/ and /user/ URLs carry no channel id, so listId stays null until the feed service resolves it.
+    static parseYouTubeCollection(url) {
+        if (!url) return null;
+
+        const playlistMatch = url.match(/youtube(?:-nocookie)?\.com\/(?:playlist|embed\/videoseries)\?(?:.*&)?list=([\w-]+)/);
+        if (playlistMatch) {
+            return {
+                kind: 'playlist',
+                listId: playlistMatch[1],
+                sourceUrl: `https://www.youtube.com/playlist?list=${playlistMatch[1]}`
+            };
+        }
+
+        const channelMatch = url.match(/youtube\.com\/channel\/(UC[\w-]{22})/);
+        if (channelMatch) {
+            return {
+                kind: 'channel',
+                listId: `UU${channelMatch[1].slice(2)}`,
+                sourceUrl: `https://www.youtube.com/channel/${channelMatch[1]}`
+            };
+        }
+
+        const namedChannelMatch = url.match(/youtube\.com\/(@|c\/|user\/)([^\/?#&]+)/);
+        if (namedChannelMatch) {
+            const lookup = { '@': 'handle', 'c/': 'custom', 'user/': 'user' }[namedChannelMatch[1]];
+            const name = decodeURIComponent(namedChannelMatch[2]);
+            return {
+                kind: 'channel',
+                listId: null,
+                lookup,
+                name,
+                sourceUrl: `https://www.youtube.com/${namedChannelMatch[1]}${encodeURIComponent(name)}`
+            };
+        }
+        return null;
+    }
+
     static parseGoogleDrive(url) {
         const patterns = [
             /drive\.google\.com\/file\/d\/([^\/]+)/,
@@ -664,9 +1185,9 @@ class UniversalVideoParser {
 
     static parseDailymotion(url) {
         const patterns = [
-            /dailymotion\.com\/video\/([^_]+)/,
-            /dailymotion\.com\/embed\/video\/([^?]+)/,
-            /dai\.ly\/([^?]+)/
+            /dailymotion\.com\/video\/([^_?&#\/]+)/,
+            /dailymotion\.com\/embed\/video\/([^?&#\/]+)/,
+            /dai\.ly\/([^?&#\/]+)/
         ];
 
         for (const pattern of patterns) {
@@ -859,6 +1380,29 @@ class UniversalVideoParser {
         return null;
     }
 
+    // HLS/DASH manifests are stored as direct videos; the player picks the engine from the URL
+    static parseStreamManifest(url) {
+        const format = UniversalVideoParser.getStreamFormat(url);
+        if (!format) return null;
+
+        const label = format === 'hls' ? 'HLS Stream' : 'DASH Stream';
+        return {
+            videoId: btoa(url).replace(/=/g, ''),
+            type: 'direct',
+            embedUrls: [url],
+            thumbnail: '',
+            title: label,
+            description: `Adaptive ${label}`
+        };
+    }
+
+    static getStreamFormat(url) {
+        const path = String(url || '').split(/[?#]/)[0].toLowerCase();
+        if (path.endsWith('.m3u8')) return 'hls';
+        if (path.endsWith('.mpd')) return 'dash';
+        return null;
+    }
+
     static parseDirectVideo(url) {
         const videoExtensions = ['.mp4', '.webm', '.ogg', '.mov', '.mkv', '.flv', '.avi'];
         const isVideo = videoExtensions.some(ext => url.toLowerCase().includes(ext));
@@ -876,6 +1420,43 @@ class UniversalVideoParser {
         return null;
     }
 
+    // Identity used for duplicate checks: the same video added through youtu.be, a watch
+    // link with a timestamp or an embed URL all reduce to "youtube:<id>"
+    static getCanonicalKey(video) {
+        if (!video || !video.type || !video.videoId) return null;
+        if (!CONFIG.DUPLICATES.URL_KEYED_TYPES.includes(video.type)) {
+            return `${video.type}:${video.videoId}`;
+        }
+
+        // URL-keyed ids are base64 of the URL they were added from
+        const url = video.originalUrl || this.decodeUrlId(video.videoId);
+        return `${video.type}:${url ? this.canonicalizeUrl(url) : video.videoId}`;
+    }
+
+    static canonicalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.toLowerCase().replace(/^(?:www|m|mobile)\./, '');
+            const params = [...parsed.searchParams]
+                .filter(([key]) => !key.startsWith('utm_') && !CONFIG.DUPLICATES.IGNORED_URL_PARAMS.includes(key))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const query = new URLSearchParams(params).toString();
+            return `${host}${parsed.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`;
+        } catch {
+            return String(url).trim();
+        }
+    }
+
+    static decodeUrlId(videoId) {
+        try {
+            const padded = videoId + '='.repeat((4 - videoId.length % 4) % 4);
+            const decoded = atob(padded);
+            return /^https?:\/\//i.test(decoded) ? decoded : null;
+        } catch {
+            return null;
+        }
+    }
+
     static parseUnknown(url) {
         return {
             videoId: btoa(url).replace(/=/g, ''),
@@ -930,7 +1511,7 @@ class VideoMetadataService {
     async enhanceYouTubeMetadata(videoData) {
         try {
             // Try oEmbed first
-            const oEmbedUrl = `https://www.youtube.com/oembed?url=${encodeURIComponent(videoData.originalUrl)}&format=json`;
+            const oEmbedUrl = `${CONFIG.YOUTUBE.OEMBED_URL}?url=${encodeURIComponent(videoData.originalUrl)}&format=json`;
             const response = await fetch(oEmbedUrl);
             
             if (response.ok) {
@@ -996,24 +1577,731 @@ class VideoMetadataService {
     }
 }
 
-// ==================== ENHANCED VIDEO MANAGER ====================
-class EnhancedVideoManager {
-    constructor() {
-        this.allVideos = [];
-        this.filteredVideos = [];
-        this.currentVideoId = null;
+// ==================== YOUTUBE FEED SERVICE ====================
+// Reads playlist and channel-upload feeds so a collection can be expanded into single videos.
+// With a Data API key the full list is paged through; otherwise the RSS feed gives at most 15.
+class YouTubeFeedService {
+    // Resolves @handle, /c/ and /user/ channels to their id so every URL form of a channel
+    // shares one uploads list and one mirroring playlist
+    async resolveCollection(collection) {
+        if (collection.listId) return collection;
+
+        const channelId = CONFIG.YOUTUBE.API_KEY
+            ? await this.lookupChannelId(collection)
+            : await this.scrapeChannelId(collection);
+        if (!channelId) throw new Error(`Channel "${collection.name}" not found`);
+        return {
+            kind: 'channel',
+            listId: `UU${channelId.slice(2)}`,
+            sourceUrl: `https://www.youtube.com/channel/${channelId}`
+        };
+    }
+
+    // Resolves to { title, entries, truncated, mayBeTruncated }. Only the API knows for sure that
+    // items were left unread; a full feed page just means there could be more.
+    async fetchCollection(collection) {
+        if (CONFIG.YOUTUBE.API_KEY) return this.fetchFromApi(collection);
+
+        const feedUrl = `${CONFIG.YOUTUBE.FEED_URL}?playlist_id=${encodeURIComponent(collection.listId)}`;
+        // YouTube sends no CORS headers, so a direct request would only fail with "Failed to fetch"
+        if (!CONFIG.YOUTUBE.PROXY_URL && !YouTubeFeedService.isSameOrigin(feedUrl)) {
+            throw new Error('Reading YouTube feeds needs a YouTube API key or proxy (CONFIG.YOUTUBE); the browser blocks direct requests');
+        }
+
+        const response = await fetch(this.withProxy(feedUrl));
+        if (!response.ok) {
+            throw new Error(response.status === 404
+                ? 'Playlist not found or private'
+                : `Feed request failed (${response.status})`);
+        }
+        const feed = YouTubeFeedService.parseFeed(await response.text());
+        return { ...feed, truncated: false, mayBeTruncated: feed.entries.length >= CONFIG.YOUTUBE.FEED_MAX_ENTRIES };
+    }
+
+    async fetchFromApi(collection) {
+        const playlists = await this.requestApi('playlists', { part: 'snippet', id: collection.listId });
+        if (!playlists.items || playlists.items.length === 0) {
+            throw new Error('Playlist not found or private');
+        }
+
+        const entries = [];
+        let pageToken = '';
+        let pages = 0;
+        do {
+            const page = await this.requestApi('playlistItems', {
+                part: 'snippet,contentDetails',
+                playlistId: collection.listId,
+                maxResults: CONFIG.YOUTUBE.API_PAGE_SIZE,
+                pageToken
+            });
+            entries.push(...(page.items || []).map(YouTubeFeedService.parseApiItem).filter(Boolean));
+            pageToken = page.nextPageToken || '';
+            pages++;
+        } while (pageToken && pages < CONFIG.YOUTUBE.API_MAX_PAGES);
+
+        return { title: playlists.items[0].snippet.title, entries, truncated: Boolean(pageToken), mayBeTruncated: Boolean(pageToken) };
+    }
+
+    async lookupChannelId(collection) {
+        if (collection.lookup === 'custom') {
+            // Custom URLs have no lookup of their own, so the best search match stands in
+            const result = await this.requestApi('search', {
+                part: 'snippet', type: 'channel', q: collection.name, maxResults: 1
+            });
+            return result.items && result.items[0] ? result.items[0].snippet.channelId : null;
+        }
+        const result = await this.requestApi('channels', collection.lookup === 'handle'
+            ? { part: 'id', forHandle: `@${collection.name}` }
+            : { part: 'id', forUsername: collection.name });
+        return result.items && result.items[0] ? result.items[0].id : null;
+    }
+
+    // Without an API key the channel page itself names the id, but only a proxy can read it
+    async scrapeChannelId(collection) {
+        if (!CONFIG.YOUTUBE.PROXY_URL) {
+            throw new Error('Channel handles need a YouTube API key or proxy to resolve; use the /channel/UC… URL instead');
+        }
+        const response = await fetch(this.withProxy(collection.sourceUrl));
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? `Channel "${collection.name}" not found` : `Channel page request failed (${response.status})`);
+        }
+        const match = (await response.text()).match(/youtube\.com\/channel\/(UC[\w-]{22})"|"(?:externalId|channelId)":"(UC[\w-]{22})"/);
+        return match ? match[1] || match[2] : null;
+    }
+
+    async requestApi(resource, params) {
+        const url = new URL(`${CONFIG.YOUTUBE.API_URL}/${resource}`);
+        Object.entries({ ...params, key: CONFIG.YOUTUBE.API_KEY })
+            .filter(([, value]) => value !== '' && value !== undefined)
+            .forEach(([name, value]) => url.searchParams.set(name, value));
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            let message = `YouTube API request failed (${response.status})`;
+            try {
+                const body = await response.json();
+                if (body.error && body.error.message) message = `YouTube API: ${body.error.message}`;
+            } catch {
+                // Keep the status-only message
+            }
+            throw new Error(response.status === 404 ? 'Playlist not found or private' : message);
+        }
+        return response.json();
+    }
+
+    // Same-origin URLs (such as the local stub) are fetched directly
+    withProxy(url) {
+        const proxy = CONFIG.YOUTUBE.PROXY_URL;
+        if (!proxy || YouTubeFeedService.isSameOrigin(url)) return url;
+        return proxy.replace('{url}', encodeURIComponent(url));
+    }
+
+    static isSameOrigin(url) {
+        return new URL(url, location.href).origin === location.origin;
+    }
+
+    // Deleted and private items stay in a playlist but have no owner or thumbnails
+    static parseApiItem(item) {
+        const snippet = item.snippet || {};
+        const videoId = snippet.resourceId && snippet.resourceId.videoId;
+        if (!videoId || !snippet.videoOwnerChannelTitle) return null;
+        const thumbnails = snippet.thumbnails || {};
+        const thumbnail = thumbnails.high || thumbnails.medium || thumbnails.default;
+        return {
+            videoId,
+            title: snippet.title || '',
+            author: snippet.videoOwnerChannelTitle,
+            description: snippet.description || '',
+            published: (item.contentDetails && item.contentDetails.videoPublishedAt) || snippet.publishedAt || '',
+            thumbnail: thumbnail ? thumbnail.url : ''
+        };
+    }
+
+    // Entries come back in feed order: playlist order, or newest first for channel uploads
+    static parseFeed(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Feed is not valid XML');
+        }
+
+        const text = (parent, tagName) => {
+            const element = parent.getElementsByTagName(tagName)[0];
+            return element ? element.textContent.trim() : '';
+        };
+
+        const entries = Array.from(doc.getElementsByTagName('entry'))
+            .map(entry => {
+                const thumbnail = entry.getElementsByTagName('media:thumbnail')[0];
+                return {
+                    videoId: text(entry, 'yt:videoId'),
+                    title: text(entry, 'title'),
+                    author: text(entry, 'name'),
+                    description: text(entry, 'media:description'),
+                    published: text(entry, 'published'),
+                    thumbnail: thumbnail ? thumbnail.getAttribute('url') : ''
+                };
+            })
+            .filter(entry => entry.videoId);
+
+        // The feed's own <title> precedes every entry, so the first match is the collection name
+        return { title: text(doc.documentElement, 'title'), entries };
+    }
+}
+
+// ==================== SUBTITLES ====================
+// Tracks are stored on a video as [{ lang, label, url }] and may point at WebVTT or SRT files
+class SubtitleTracks {
+    // Accepts the stored form (array or JSON text) and drops anything without a URL
+    static normalize(value) {
+        let tracks = value;
+        if (typeof value === 'string') {
+            try {
+                tracks = JSON.parse(value || '[]');
+            } catch {
+                console.warn('Ignoring malformed subtitles value');
+                return [];
+            }
+        }
+        if (!Array.isArray(tracks)) return [];
+        return tracks
+            .filter(track => track && track.url)
+            .map(track => ({
+                lang: track.lang || '',
+                label: track.label || this.getLabel(track.lang) || 'Subtitles',
+                url: track.url
+            }));
+    }
+
+    // One track per line: "en https://example.com/talk.en.vtt", or just the URL
+    static parseList(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [first, ...rest] = line.split(/\s+/);
+                const hasLang = rest.length > 0 && !/^https?:/i.test(first);
+                const url = hasLang ? rest.join(' ') : line;
+                const lang = hasLang ? first : this.guessLanguage(url);
+                return { lang, label: this.getLabel(lang) || 'Subtitles', url };
+            });
+    }
+
+    static formatList(tracks) {
+        return this.normalize(tracks)
+            .map(track => (track.lang ? `${track.lang} ${track.url}` : track.url))
+            .join('\n');
+    }
+
+    // "talk.en.srt" or "talk_pt-BR.vtt" -> the language code before the extension
+    static guessLanguage(name) {
+        const match = String(name || '').split(/[?#]/)[0].match(/[._-]([a-z]{2,3}(?:-[A-Za-z]{2,4})?)\.(?:vtt|srt)$/i);
+        return match ? match[1] : '';
+    }
+
+    static getLabel(lang) {
+        if (!lang) return '';
+        try {
+            return new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(lang) || lang;
+        } catch {
+            return lang;
+        }
+    }
+
+    static isSubtitleFile(name) {
+        return /\.(?:vtt|srt)$/i.test(name);
+    }
+
+    // Decides by content rather than extension, since hosted files are often misnamed
+    static toVtt(text) {
+        const clean = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        if (/^WEBVTT/.test(clean)) return clean;
+        return this.srtToVtt(clean);
+    }
+
+    static srtToVtt(text) {
+        const body = text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/(\d{1,2}):(\d{2}):(\d{2}),(\d{3})/g, (match, h, m, s, ms) => `${h.padStart(2, '0')}:${m}:${s}.${ms}`)
+            .trim();
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    // Fetching the file keeps CORS on the caption host only; the <video> itself stays
+    // non-CORS so hosted files without CORS headers still play
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Subtitle request failed (${response.status})`);
+        }
+        return this.createObjectUrl(await response.text());
+    }
+
+    static createObjectUrl(text) {
+        return URL.createObjectURL(new Blob([this.toVtt(text)], { type: 'text/vtt' }));
+    }
+}
+
+// ==================== TRANSCRIPTS ====================
+// Transcripts are stored as text on the video: WebVTT, SRT, or plain lines such as
+// "[01:23] Welcome back" / "1:02:03 - Questions". Parsed cues are cached per record.
+class TranscriptParser {
+    static getCues(video) {
+        if (!video || !video.transcript) return [];
+        if (!this.cache) this.cache = new WeakMap();
+        if (!this.cache.has(video)) this.cache.set(video, this.parse(video.transcript));
+        return this.cache.get(video);
+    }
+
+    static getPlainText(video) {
+        return this.getCues(video).map(cue => cue.text).join(' ');
+    }
+
+    static parse(text) {
+        const clean = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        return clean.includes('-->') ? this.parseTimedBlocks(clean) : this.parseTimestampedLines(clean);
+    }
+
+    static parseTimedBlocks(text) {
+        const cues = [];
+        text.split(/\n{2,}/).forEach(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) return;
+
+            const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+            const start = this.parseTimestamp(startText);
+            const cueText = lines.slice(timingIndex + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+            if (Number.isFinite(start) && cueText) {
+                const end = this.parseTimestamp(endText);
+                cues.push({ start, end: Number.isFinite(end) ? end : start, text: cueText });
+            }
+        });
+        return cues;
+    }
+
+    // Untimed lines belong to the cue above them; each cue ends where the next begins
+    static parseTimestampedLines(text) {
+        const cues = [];
+        text.split('\n').forEach(line => {
+            const match = line.match(/^\s*\[?((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d+)?)\]?\s*[-\u2013\u2014:]?\s*(.*)$/);
+            if (match) {
+                cues.push({ start: this.parseTimestamp(match[1]), end: null, text: match[2].trim() });
+            } else if (line.trim() && cues.length > 0) {
+                const last = cues[cues.length - 1];
+                last.text = `${last.text} ${line.trim()}`.trim();
+            }
+        });
+        cues.forEach((cue, index) => {
+            cue.end = index + 1 < cues.length ? cues[index + 1].start : Infinity;
+        });
+        return cues.filter(cue => cue.text);
+    }
+
+    // "01:02:03.500", "02:03,5" or "2:03" -> seconds
+    static parseTimestamp(value) {
+        if (!value) return NaN;
+        const parts = value.replace(',', '.').split(':').map(Number);
+        if (parts.some(part => !Number.isFinite(part))) return NaN;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    // Index of the cue playing at `time`, or -1 between cues
+    static findCueIndex(cues, time) {
+        for (let i = cues.length - 1; i >= 0; i--) {
+            if (cues[i].start <= time) return time < Math.max(cues[i].end, cues[i].start + 1) ? i : -1;
+        }
+        return -1;
+    }
+}
+
+// ==================== BOOKMARKS ====================
+// Bookmarks are stored on a video as [{ id, time, text, createdAt }], kept in time order
+class VideoBookmarks {
+    static normalize(value) {
+        let bookmarks = value;
+        if (typeof value === 'string') {
+            try {
+                bookmarks = JSON.parse(value || '[]');
+            } catch {
+                console.warn('Ignoring malformed bookmarks value');
+                return [];
+            }
+        }
+        if (!Array.isArray(bookmarks)) return [];
+        return bookmarks
+            .filter(bookmark => bookmark && Number.isFinite(Number(bookmark.time)))
+            .map(bookmark => ({
+                id: bookmark.id || this.generateId(),
+                time: Math.max(0, Math.floor(Number(bookmark.time))),
+                text: String(bookmark.text || '').trim(),
+                createdAt: bookmark.createdAt || new Date().toISOString()
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    static generateId() {
+        return `bm_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    static add(bookmarks, time, text) {
+        return this.normalize([...this.normalize(bookmarks), { time, text }]);
+    }
+
+    static remove(bookmarks, id) {
+        return this.normalize(bookmarks).filter(bookmark => bookmark.id !== id);
+    }
+
+    // Links into the source platform at the given time where the platform supports it
+    static getTimestampUrl(video, seconds = 0) {
+        const url = video.url || '';
+        switch (video.type) {
+            case 'youtube':
+                if (!video.videoId) return url;
+                return `https://www.youtube.com/watch?v=${video.videoId}${seconds > 0 ? `&t=${seconds}s` : ''}`;
+            case 'vimeo':
+                return `${url.split('#')[0]}${seconds > 0 ? `#t=${seconds}s` : ''}`;
+            case 'direct':
+                return `${url.split('#')[0]}${seconds > 0 ? `#t=${seconds}` : ''}`;
+            default:
+                return url;
+        }
+    }
+
+    static toMarkdown(video, formatTime) {
+        const bookmarks = this.normalize(video.bookmarks);
+        const lines = [`# ${video.title}`, ''];
+        const sourceUrl = this.getTimestampUrl(video);
+        if (sourceUrl) lines.push(`<${sourceUrl}>`, '');
+        bookmarks.forEach(bookmark => {
+            const link = this.getTimestampUrl(video, bookmark.time);
+            const time = link ? `[${formatTime(bookmark.time)}](${link})` : formatTime(bookmark.time);
+            lines.push(`- ${time}${bookmark.text ? ` \u2014 ${bookmark.text}` : ''}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+// ==================== LIBRARY IMPORT PARSER ====================
+// Turns pasted URL lists, CSV (url,title,tags,category) or a JSON export into import rows
+class LibraryImportParser {
+    static parse(text, fileName = '') {
+        const content = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (!content) return [];
+
+        const extension = fileName.split('.').pop().toLowerCase();
+        let rows;
+        if (extension === 'json' || /^[[{]/.test(content)) {
+            rows = this.parseJSON(content);
+        } else if (extension === 'csv' || this.looksLikeCSV(content)) {
+            rows = this.parseCSV(content);
+        } else {
+            rows = this.parseUrlList(content);
+        }
+
+        if (rows.length > CONFIG.IMPORT.MAX_ROWS) {
+            throw new Error(`Import is limited to ${CONFIG.IMPORT.MAX_ROWS} entries at a time (got ${rows.length})`);
+        }
+        return rows;
+    }
+
+    static looksLikeCSV(content) {
+        const firstLine = content.split(/\r?\n/, 1)[0].toLowerCase();
+        return firstLine.includes(',') && /(^|,)\s*"?url"?\s*(,|$)/.test(firstLine);
+    }
+
+    static parseUrlList(content) {
+        return content
+            .split(/\r?\n/)
+            .map((line, index) => ({ line: index + 1, url: line.trim() }))
+            .filter(row => row.url && !row.url.startsWith('#'));
+    }
+
+    static parseJSON(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const entries = Array.isArray(data) ? data : (data.videos || data.records || [data]);
+        return entries.map((entry, index) => {
+            const fields = entry.fields || entry;
+            return {
+                line: index + 1,
+                url: String(fields.originalUrl || fields.url || '').trim(),
+                title: fields.title || '',
+                description: fields.description || '',
+                tags: this.parseTags(fields.tags),
+                category: fields.category || ''
+            };
+        });
+    }
+
+    static parseCSV(content) {
+        const records = this.splitCSV(content);
+        if (records.length === 0) return [];
+
+        const knownColumns = ['url', 'title', 'tags', 'category', 'description'];
+        const header = records[0].map(cell => cell.trim().toLowerCase());
+        const hasHeader = header.includes('url');
+        const columns = hasHeader ? header : knownColumns;
+
+        return records.slice(hasHeader ? 1 : 0)
+            .map((cells, index) => {
+                const row = { line: index + (hasHeader ? 2 : 1) };
+                columns.forEach((column, i) => {
+                    if (knownColumns.includes(column)) row[column] = (cells[i] || '').trim();
+                });
+                row.url = row.url || '';
+                row.tags = this.parseTags(row.tags);
+                return row;
+            })
+            .filter(row => row.url || row.title);
+    }
+
+    // RFC 4180 style: quoted cells may contain commas, newlines and doubled quotes
+    static splitCSV(content) {
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(cell);
+                if (record.some(value => value.trim())) records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        record.push(cell);
+        if (record.some(value => value.trim())) records.push(record);
+        return records;
+    }
+
+    static parseTags(value) {
+        if (Array.isArray(value)) return value.map(tag => String(tag).trim()).filter(Boolean);
+        return String(value || '').split(/[;,|]/).map(tag => tag.trim()).filter(Boolean);
+    }
+}
+
+// ==================== LIBRARY EXPORTER ====================
+// Serializes videos for download; returns the file content and how many videos were left out
+class LibraryExporter {
+    static export(videos, format, { title = 'OnlineHub Library', getDurationSeconds = () => 0 } = {}) {
+        switch (format) {
+            case 'json':
+                return { content: JSON.stringify(videos, null, 2), skipped: 0 };
+            case 'csv':
+                return { content: this.toCSV(videos), skipped: 0 };
+            case 'm3u8':
+                return this.toM3U8(videos, title, getDurationSeconds);
+            case 'xspf':
+                return this.toXSPF(videos, title, getDurationSeconds);
+            case 'markdown':
+                return { content: this.toMarkdown(videos, title), skipped: 0 };
+            case 'html':
+                return { content: this.toHTML(videos, title), skipped: 0 };
+            case 'opml':
+                return { content: this.toOPML(videos, title), skipped: 0 };
+            default:
+                throw new Error(`Unsupported export format "${format}"`);
+        }
+    }
+
+    // Column order matches what the bulk importer reads back
+    static toCSV(videos) {
+        const columns = ['url', 'title', 'tags', 'category', 'description', 'author', 'type', 'duration', 'createdAt'];
+        const rows = videos.map(video => [
+            this.getShareUrl(video),
+            video.title,
+            (video.tags || []).join(';'),
+            video.category,
+            video.description,
+            video.author,
+            video.type,
+            video.duration,
+            video.createdAt
+        ].map(value => this.csvCell(value)).join(','));
+        return [columns.join(','), ...rows].join('\r\n');
+    }
+
+    static toM3U8(videos, title, getDurationSeconds) {
+        const playable = videos.filter(video => this.getMediaUrl(video));
+        const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+        playable.forEach(video => {
+            const seconds = Math.round(getDurationSeconds(video)) || -1;
+            lines.push(`#EXTINF:${seconds},${video.title.replace(/[\r\n]+/g, ' ')}`, this.getMediaUrl(video));
+        });
+        return { content: lines.join('\n') + '\n', skipped: videos.length - playable.length };
+    }
+
+    static toXSPF(videos, title, getDurationSeconds) {
+        const playable = videos.filter(video => this.getMediaUrl(video));
+        const tracks = playable.map(video => {
+            const seconds = getDurationSeconds(video);
+            return [
+                '    <track>',
+                `      <location>${this.escapeXml(this.getMediaUrl(video))}</location>`,
+                `      <title>${this.escapeXml(video.title)}</title>`,
+                video.author ? `      <creator>${this.escapeXml(video.author)}</creator>` : '',
+                seconds > 0 ? `      <duration>${Math.round(seconds * 1000)}</duration>` : '',
+                video.thumbnail ? `      <image>${this.escapeXml(video.thumbnail)}</image>` : '',
+                '    </track>'
+            ].filter(Boolean).join('\n');
+        });
+
+        const content = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${this.escapeXml(title)}</title>`,
+            '  <trackList>',
+            ...tracks,
+            '  </trackList>',
+            '</playlist>'
+        ].join('\n');
+        return { content, skipped: videos.length - playable.length };
+    }
+
+    static toMarkdown(videos, title) {
+        const escape = (text) => String(text || '').replace(/([\\[\]])/g, '\\$1');
+        const lines = videos.map(video => {
+            const details = [video.type, video.duration !== '--:--' ? video.duration : '', video.author].filter(Boolean).join(' · ');
+            return `- [${escape(video.title)}](${this.getShareUrl(video)})${details ? ` — ${escape(details)}` : ''}`;
+        });
+        return [`# ${title}`, '', ...lines, ''].join('\n');
+    }
+
+    static toHTML(videos, title) {
+        const items = videos.map(video =>
+            `    <li><a href="${this.escapeXml(this.getShareUrl(video))}">${this.escapeXml(video.title)}</a>` +
+            `${video.author ? ` <small>${this.escapeXml(video.author)}</small>` : ''}</li>`
+        );
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '  <meta charset="UTF-8">',
+            `  <title>${this.escapeXml(title)}</title>`,
+            '</head>',
+            '<body>',
+            `  <h1>${this.escapeXml(title)}</h1>`,
+            '  <ul>',
+            ...items,
+            '  </ul>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    static toOPML(videos, title) {
+        const outlines = videos.map(video =>
+            `    <outline type="link" text="${this.escapeXml(video.title)}" url="${this.escapeXml(this.getShareUrl(video))}"` +
+            `${video.category ? ` category="${this.escapeXml(video.category)}"` : ''}/>`
+        );
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            `  <head><title>${this.escapeXml(title)}</title><dateCreated>${new Date().toUTCString()}</dateCreated></head>`,
+            '  <body>',
+            ...outlines,
+            '  </body>',
+            '</opml>',
+            ''
+        ].join('\n');
+    }
+
+    // A URL a media player can stream, or null for embed-only platforms
+    static getMediaUrl(video) {
+        if (!CONFIG.EXPORT.PLAYABLE_TYPES.includes(video.type)) return null;
+        if (video.type === 'drive') return `https://drive.google.com/uc?export=download&id=${encodeURIComponent(video.videoId)}`;
+        return video.originalUrl || video.url || null;
+    }
+
+    // The page a person would open, preferring the platform's watch URL over the embed
+    static getShareUrl(video) {
+        if (video.originalUrl) return video.originalUrl;
+        if (video.type === 'youtube' && video.videoId) return `https://www.youtube.com/watch?v=${video.videoId}`;
+        if (video.type === 'vimeo' && video.videoId) return `https://vimeo.com/${video.videoId}`;
+        if (video.type === 'drive' && video.videoId) return `https://drive.google.com/file/d/${video.videoId}/view`;
+        return video.url || '';
+    }
+
+    static csvCell(value) {
+        const text = String(value === undefined || value === null ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static escapeXml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// ==================== ENHANCED VIDEO MANAGER ====================
+class EnhancedVideoManager {
+    constructor() {
+        this.allVideos = [];
+        this.filteredVideos = [];
+        this.currentVideoId = null;
         this.currentPlatform = 'all';
         this.currentSearchTerm = '';
         this.currentSortOption = 'default';
-        this.currentFilters = { platform: 'all' };
+        this.currentFilters = this.getDefaultFilters();
+        this.searchScores = new Map();
+        this.parsedQuery = null;
+        this.virtualList = null;
+        this.pendingThumbnails = new Set();
         this.recentlyPlayed = [];
         this.searchHistory = [];
+        this.queueMode = 'autoplay';
+        this.shuffleHistory = [];
+        this.shuffleIndex = -1;
+        this.playlists = [];
+        this.activePlaylistId = null;
+        this.healthReport = null;
+        this.healthScanRunning = false;
+        // Set when the backend turns out to have no lastChecked/healthStatus columns
+        this.healthColumnsMissing = false;
+        this.captionPreferences = AppStateStore.getDefaults().captionPreferences;
+        // Set once routing starts, after the first load, so restored state can't overwrite a deep link
+        this.router = null;
         this.isLoading = false;
+        this.credentialStore = new CredentialStore();
+        this.settings = CredentialStore.getDefaults();
         
         // Enhanced services
         this.services = {
-            airtable: new AirtableService('patPnJxM2TRWXuka0.4f7e3477fbf12deeab524c98a77c473a737773a6f0d788b68f103446d50a8b2f'),
-            metadata: new VideoMetadataService()
+            repository: this.createRepository(this.settings),
+            metadata: new VideoMetadataService(),
+            youtubeFeed: new YouTubeFeedService()
         };
         
         // New enhanced services
@@ -1021,13 +2309,84 @@ class EnhancedVideoManager {
         this.availabilityChecker = new VideoAvailabilityChecker();
         this.thumbnailManager = new ThumbnailManager();
         this.analytics = new VideoAnalytics();
+        this.playbackProgress = new PlaybackProgressTracker();
         this.performanceOptimizer = new PerformanceOptimizer();
+        this.offlineQueue = new OfflineWriteQueue(OfflineWriteQueue.storageKeyFor(this.settings));
+        this.offlineSyncRunning = false;
+        this.offlineRetryTimer = null;
+        this.offlineRetryDelay = CONFIG.OFFLINE.RETRY_DELAY;
         
-        this.searchService = new SearchService(this.services.airtable);
+        this.searchService = new SearchService(this.services.repository);
         this.cache = new Map();
         this.searchTimeout = null;
 
+        // Persisted state (history, filters, analytics) survives reloads
+        this.stateStore = new AppStateStore();
+        this.persistState = PerformanceUtils.debounce(() => this.saveApplicationState(), CONFIG.STATE.SAVE_DELAY);
+        this.analytics.onStatsChange = () => this.persistState();
+        this.playbackProgress.onChange = () => {
+            this.persistState();
+            this.renderContinueWatching();
+        };
+        window.addEventListener('pagehide', () => this.saveApplicationState());
+
         this.setupErrorHandling();
+        this.restoreApplicationState();
+    }
+
+    createRepository(settings) {
+        switch (settings.backend) {
+            case 'indexeddb':
+                return new IndexedDBService(CONFIG.STORAGE.INDEXEDDB);
+            case 'airtable':
+                return new AirtableService(settings.mode === 'public' ? null : settings.token, {
+                    baseId: settings.baseId,
+                    tableName: settings.tableName,
+                    publicUrl: settings.publicUrl,
+                    readOnly: settings.mode === 'public'
+                });
+            default:
+                throw new Error(`Unknown storage backend: ${settings.backend}`);
+        }
+    }
+
+    // Swaps the storage backend in place and reloads the library, no page reload needed.
+    // Unlocking passes keepLibraryCache since it restores the credentials the cache was made with.
+    async applySettings(settings, { keepLibraryCache = false } = {}) {
+        // Give the library being left a chance to take its queued changes; whatever can't
+        // sync stays stored under that library's key until it is opened again
+        await this.syncOfflineChanges();
+        if (!keepLibraryCache) await this.clearLibraryCache();
+        this.settings = { ...CredentialStore.getDefaults(), ...settings };
+        this.services.repository = this.createRepository(this.settings);
+        this.bindOfflineQueue();
+        this.searchService = new SearchService(this.services.repository);
+        this.services.metadata.clearCache();
+        this.healthColumnsMissing = false;
+        document.body.classList.toggle('read-only', this.isReadOnly());
+
+        this.allVideos = [];
+        this.filteredVideos = [];
+        this.duplicateChecker.indexLibrary(this.allVideos);
+        return this.loadVideos();
+    }
+
+    isConfigured() {
+        const { backend, mode, token, publicUrl } = this.settings;
+        if (backend !== 'airtable') return true;
+        return mode === 'public' ? Boolean(publicUrl) : Boolean(token);
+    }
+
+    isReadOnly() {
+        return Boolean(this.services.repository.readOnly);
+    }
+
+    ensureWritable() {
+        if (this.isReadOnly()) {
+            this.showNotification('Library is in read-only mode', 'warning');
+            return false;
+        }
+        return true;
     }
 
     setupErrorHandling() {
@@ -1052,13 +2411,23 @@ class EnhancedVideoManager {
         this.showNotification('Loading videos...', 'info');
         
         try {
-            // Always load from Airtable
-            const freshVideos = await this.services.airtable.getAllVideos();
-            this.allVideos = freshVideos;
-            console.log(`Loaded ${this.allVideos.length} videos from Airtable`);
+            // Load from the configured backend, rendering each page as it arrives
+            const freshVideos = await this.services.repository.getAllVideos({
+                onPage: (pageVideos, progress) => {
+                    if (progress.done) return;
+                    this.allVideos = progress.videos;
+                    this.duplicateChecker.indexLibrary(this.allVideos);
+                    this.searchService.buildSearchIndex(this.allVideos);
+                    this.applyFiltersAndSearch();
+                    this.showNotification(`Loaded ${progress.loaded} videos so far...`, 'info');
+                }
+            });
+            this.allVideos = this.offlineQueue.applyTo(freshVideos);
+            console.log(`Loaded ${this.allVideos.length} videos from ${this.services.repository.constructor.name}`);
             
+            this.duplicateChecker.indexLibrary(this.allVideos);
             await this.searchService.buildSearchIndex(this.allVideos);
-            this.restoreApplicationState();
+            await this.loadPlaylists();
             this.applyFiltersAndSearch();
             
             this.showNotification(`Loaded ${this.allVideos.length} videos`, 'success');
@@ -1073,56 +2442,267 @@ class EnhancedVideoManager {
     }
 
     applyFiltersAndSearch() {
-        let results = [...this.allVideos];
+        const startTime = performance.now();
+        const activePlaylist = this.getActivePlaylist();
+        const { platform, durations, statuses } = this.currentFilters;
+        let results = activePlaylist ? this.getPlaylistVideos(activePlaylist) : [...this.allVideos];
 
         // Apply platform filter
-        if (this.currentFilters.platform && this.currentFilters.platform !== 'all') {
-            results = results.filter(video => video.type === this.currentFilters.platform);
+        if (platform && platform !== 'all') {
+            results = results.filter(video => video.type === platform);
+        }
+
+        // Options within a group widen the match, separate groups narrow it
+        if (durations.length > 0) {
+            results = results.filter(video => durations.some(bucket => this.matchesDurationBucket(video, bucket)));
+        }
+        if (statuses.length > 0) {
+            results = results.filter(video => statuses.some(status => this.matchesStatus(video, status)));
         }
 
         // Apply search
-        if (this.currentSearchTerm && this.currentSearchTerm.length >= CONFIG.SEARCH.MIN_SEARCH_LENGTH) {
-            results = this.searchVideos(results, this.currentSearchTerm);
+        this.searchScores = new Map();
+        this.parsedQuery = this.searchService.parseQuery(this.isSearchActive() ? this.currentSearchTerm : '');
+        if (this.isSearchActive()) {
+            results = this.searchVideos(results, this.parsedQuery);
         }
 
         // Apply sorting
-        this.filteredVideos = this.sortVideos(results, this.currentSortOption);
+        this.filteredVideos = this.sortVideos(results, this.getEffectiveSortOption());
+        this.lastFilterTime = performance.now() - startTime;
 
         this.updateUI();
+        this.persistState();
+        this.router?.syncFilters();
     }
 
-    searchVideos(videos, searchTerm) {
-        const searchLower = searchTerm.toLowerCase();
-        return videos.filter(video => {
-            return CONFIG.SEARCH.SEARCH_FIELDS.some(field => {
-                const fieldValue = String(video[field] || '').toLowerCase();
-                return CONFIG.SEARCH.FUZZY_SEARCH 
-                    ? this.fuzzyMatch(fieldValue, searchLower)
-                    : fieldValue.includes(searchLower);
-            });
-        });
+    getDefaultFilters() {
+        return { platform: 'all', searchFields: null, durations: [], statuses: [] };
+    }
+
+    hasActiveFilters() {
+        const { platform, searchFields, durations, statuses } = this.currentFilters;
+        return Boolean(this.currentSearchTerm) || platform !== 'all' || Boolean(searchFields) ||
+            durations.length > 0 || statuses.length > 0;
+    }
+
+    matchesDurationBucket(video, bucket) {
+        const range = CONFIG.SEARCH.DURATION_BUCKETS[bucket];
+        const seconds = this.parseDuration(video.duration);
+        // Unknown durations never match a bucket
+        return Boolean(range) && seconds > 0 && seconds >= range.min && seconds < range.max;
     }
 
-    fuzzyMatch(text, search) {
-        let searchIndex = 0;
-        for (let i = 0; i < text.length; i++) {
-            if (text[i] === search[searchIndex]) {
-                searchIndex++;
+    matchesStatus(video, status) {
+        switch (status) {
+            case 'recent': {
+                const added = new Date(video.createdAt).getTime();
+                return Number.isFinite(added) && Date.now() - added <= CONFIG.SEARCH.RECENT_DAYS * 24 * 60 * 60 * 1000;
             }
-            if (searchIndex === search.length) return true;
+            case 'popular':
+                return this.calculatePopularityScore(video) > CONFIG.SEARCH.POPULARITY_THRESHOLD;
+            case 'watched':
+                return this.analytics.getVideoStats(video.id).playCount > 0 || Boolean(this.getRecentlyPlayedData(video.id));
+            default:
+                return true;
         }
-        return false;
     }
 
-    sortVideos(videos, sortOption) {
-        const sorted = [...videos];
-        
-        switch (sortOption) {
-            case 'title_asc':
-                sorted.sort((a, b) => a.title.localeCompare(b.title));
-                break;
-            case 'title_desc':
-                sorted.sort((a, b) => b.title.localeCompare(a.title));
+    removeFilter(type, value) {
+        if (type === 'search') {
+            // Drops the free text but keeps any typed operators
+            this.currentSearchTerm = (this.parsedQuery ? this.parsedQuery.clauses : [])
+                .filter(clause => clause.kind !== 'text')
+                .map(clause => clause.raw)
+                .join(' ');
+        } else if (type === 'query') {
+            this.removeQueryClause(value);
+        } else if (type === 'platform') {
+            this.currentFilters.platform = 'all';
+            this.currentPlatform = 'all';
+        } else if (type === 'fields') {
+            this.currentFilters.searchFields = null;
+        } else if (type === 'duration') {
+            this.currentFilters.durations = this.currentFilters.durations.filter(d => d !== value);
+        } else if (type === 'status') {
+            this.currentFilters.statuses = this.currentFilters.statuses.filter(s => s !== value);
+        }
+        this.syncControlsWithState();
+        this.applyFiltersAndSearch();
+    }
+
+    clearAllFilters() {
+        this.currentSearchTerm = '';
+        this.currentFilters = this.getDefaultFilters();
+        this.currentPlatform = 'all';
+        this.currentSortOption = 'default';
+        this.syncControlsWithState();
+        this.applyFiltersAndSearch();
+    }
+
+    getFilterChips() {
+        const { platform, searchFields, durations, statuses } = this.currentFilters;
+        const chips = [];
+
+        const clauses = this.parsedQuery ? this.parsedQuery.clauses : [];
+        if (this.parsedQuery && this.parsedQuery.text) {
+            chips.push({ type: 'search', icon: 'fa-search', label: `"${this.parsedQuery.text}"` });
+        }
+        clauses.forEach((clause, index) => {
+            if (clause.kind === 'text') return;
+            const icon = clause.kind === 'phrase' ? 'fa-quote-right' : 'fa-code';
+            chips.push({ type: 'query', value: String(index), icon, label: `${clause.negated ? 'not ' : ''}${clause.label}` });
+        });
+        if (platform !== 'all') {
+            chips.push({ type: 'platform', icon: 'fa-layer-group', label: platform });
+        }
+        if (searchFields) {
+            const fields = searchFields.map(field => CONFIG.SEARCH.FIELD_LABELS[field] || field).join(', ');
+            chips.push({ type: 'fields', icon: 'fa-crosshairs', label: `In: ${fields}` });
+        }
+        durations.forEach(bucket => {
+            chips.push({ type: 'duration', value: bucket, icon: 'fa-clock', label: CONFIG.SEARCH.DURATION_BUCKETS[bucket].label });
+        });
+        statuses.forEach(status => {
+            chips.push({ type: 'status', value: status, icon: 'fa-tag', label: CONFIG.SEARCH.STATUS_FILTERS[status] });
+        });
+
+        return chips;
+    }
+
+    renderActiveFilters() {
+        const container = document.getElementById('activeFilters');
+        const info = document.getElementById('searchResultsInfo');
+        const resultsCount = document.getElementById('resultsCount');
+        const searchTime = document.getElementById('searchTime');
+        const toggle = document.getElementById('advancedSearchToggle');
+        const errors = document.getElementById('searchQueryErrors');
+        const hasFilters = this.hasActiveFilters();
+
+        if (errors) {
+            const messages = this.parsedQuery ? this.parsedQuery.errors : [];
+            errors.innerHTML = messages.map(message => `<div><i class="fas fa-exclamation-triangle"></i> ${this.escapeHtml(message)}</div>`).join('');
+            errors.classList.toggle('active', messages.length > 0);
+        }
+
+        if (container) {
+            container.innerHTML = this.getFilterChips().map(chip => `
+                <span class="filter-badge">
+                    <i class="fas ${chip.icon}"></i> ${this.escapeHtml(chip.label)}
+                    <i class="fas fa-times remove" title="Remove filter" onclick="window.removeFilter('${chip.type}'${chip.value ? `, '${chip.value}'` : ''})"></i>
+                </span>
+            `).join('');
+        }
+
+        if (info) info.classList.toggle('active', hasFilters);
+        if (resultsCount) {
+            const count = this.filteredVideos.length;
+            resultsCount.textContent = `${count} result${count !== 1 ? 's' : ''}`;
+        }
+        if (searchTime) searchTime.textContent = `${(this.lastFilterTime || 0).toFixed(1)} ms`;
+        if (toggle) {
+            const { searchFields, durations, statuses } = this.currentFilters;
+            toggle.classList.toggle('has-filters', Boolean(searchFields) || durations.length > 0 || statuses.length > 0);
+        }
+    }
+
+    searchVideos(videos, query) {
+        const fields = this.currentFilters.searchFields || CONFIG.SEARCH.SEARCH_FIELDS;
+        let results = videos.filter(video => query.clauses.every(clause => this.matchesQueryClause(video, clause, fields)));
+
+        if (query.text) {
+            this.searchScores = this.searchService.search(query.text, { fields });
+            results = results.filter(video => this.searchScores.has(video.id));
+        }
+        return results;
+    }
+
+    matchesQueryClause(video, clause, fields) {
+        let matches;
+        switch (clause.kind) {
+            case 'text':
+                // Ranked separately through the index
+                return true;
+            case 'phrase': {
+                const needle = clause.value.toLowerCase();
+                matches = fields.some(field => this.searchService.getFieldText(video, field).toLowerCase().includes(needle));
+                break;
+            }
+            case 'field': {
+                const needle = clause.value.toLowerCase();
+                const value = video[clause.field];
+                if (Array.isArray(value)) {
+                    matches = value.some(item => String(item).toLowerCase() === needle);
+                } else if (clause.field === 'type') {
+                    matches = String(value || '').toLowerCase() === needle;
+                } else {
+                    matches = String(value || '').toLowerCase().includes(needle);
+                }
+                break;
+            }
+            case 'range': {
+                const actual = clause.field === 'duration'
+                    ? this.parseDuration(video.duration)
+                    : new Date(video.createdAt).getTime();
+                // Unknown durations and dates never satisfy a comparison
+                if (!Number.isFinite(actual) || actual <= 0) return false;
+                matches = this.compareValues(actual, clause.comparator, clause.value);
+                break;
+            }
+            default:
+                return true;
+        }
+        return clause.negated ? !matches : matches;
+    }
+
+    compareValues(actual, comparator, expected) {
+        switch (comparator) {
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            default: return Math.round(actual) === Math.round(expected);
+        }
+    }
+
+    // Rewrites the search box without one typed operator, so its chip can be removed
+    removeQueryClause(index) {
+        const clauses = this.parsedQuery ? this.parsedQuery.clauses : [];
+        this.currentSearchTerm = clauses
+            .filter((clause, i) => i !== Number(index))
+            .map(clause => clause.raw)
+            .join(' ');
+    }
+
+    isSearchActive() {
+        return Boolean(this.currentSearchTerm) && this.currentSearchTerm.length >= CONFIG.SEARCH.MIN_SEARCH_LENGTH;
+    }
+
+    // Relevance is the default order while a query is active and meaningless without one
+    getEffectiveSortOption() {
+        const searching = this.isSearchActive();
+        if (searching && this.currentSortOption === 'default') return 'relevance';
+        if (!searching && this.currentSortOption === 'relevance') return 'default';
+        return this.currentSortOption;
+    }
+
+    // Dragging only makes sense while the list shows the playlist's own order
+    canReorderPlaylist() {
+        return Boolean(this.activePlaylistId) && this.getEffectiveSortOption() === 'default';
+    }
+
+    sortVideos(videos, sortOption) {
+        const sorted = [...videos];
+        
+        switch (sortOption) {
+            case 'relevance':
+                sorted.sort((a, b) => (this.searchScores.get(b.id) || 0) - (this.searchScores.get(a.id) || 0));
+                break;
+            case 'title_asc':
+                sorted.sort((a, b) => a.title.localeCompare(b.title));
+                break;
+            case 'title_desc':
+                sorted.sort((a, b) => b.title.localeCompare(a.title));
                 break;
             case 'date_desc':
                 sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -1162,40 +2742,273 @@ class EnhancedVideoManager {
     }
 
     loadVideoById(videoId) {
-        const videoIndex = this.filteredVideos.findIndex(v => v.id === videoId);
-        if (videoIndex !== -1) {
+        const video = this.allVideos.find(v => v.id === videoId);
+        if (video) {
             this.currentVideoId = videoId;
+            this.recordShuffleHistory(videoId);
             this.addToRecentlyPlayed(videoId);
-            this.updateUI();
-            return this.filteredVideos[videoIndex];
+            this.updatePlaybackIndicators();
+            this.persistState();
+            return video;
         }
         return null;
     }
 
+    // Navigation follows the active playlist's order when one is selected
+    getPlaybackQueue() {
+        const activePlaylist = this.getActivePlaylist();
+        return activePlaylist ? this.getPlaylistVideos(activePlaylist) : this.filteredVideos;
+    }
+
+    async loadPlaylists() {
+        try {
+            this.playlists = await this.services.repository.getPlaylists();
+        } catch (error) {
+            console.warn('Playlists unavailable:', error);
+            this.playlists = [];
+            if (error.playlistsUnavailable) {
+                this.showNotification(`Playlists are off: no "${CONFIG.AIRTABLE.PLAYLISTS_TABLE_NAME}" table was found in this base`, 'warning');
+            }
+        }
+
+        if (this.activePlaylistId && !this.getActivePlaylist()) {
+            this.activePlaylistId = null;
+        }
+        this.renderPlaylistSelector();
+    }
+
+    getActivePlaylist() {
+        return this.playlists.find(p => p.id === this.activePlaylistId) || null;
+    }
+
+    getPlaylistVideos(playlist) {
+        return playlist.videoIds
+            .map(id => this.allVideos.find(v => v.id === id))
+            .filter(Boolean);
+    }
+
+    setActivePlaylist(playlistId) {
+        this.activePlaylistId = playlistId || null;
+        this.shuffleHistory = this.currentVideoId ? [this.currentVideoId] : [];
+        this.shuffleIndex = this.shuffleHistory.length - 1;
+        this.renderPlaylistSelector();
+        this.applyFiltersAndSearch();
+    }
+
+    async createPlaylist(name, videoIds = [], extra = {}) {
+        if (!this.ensureWritable()) return null;
+        try {
+            const playlist = await this.services.repository.createPlaylist({ ...extra, name, videoIds });
+            this.playlists.push(playlist);
+            this.renderPlaylistSelector();
+            this.showNotification(`Created playlist "${name}"`, 'success');
+            return playlist;
+        } catch (error) {
+            console.error('Error creating playlist:', error);
+            this.showNotification('Failed to create playlist: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    async renamePlaylist(playlistId, name) {
+        return this.changePlaylist(playlistId, { name }, `Renamed playlist to "${name}"`);
+    }
+
+    async addToPlaylist(playlistId, videoId) {
+        const playlist = this.playlists.find(p => p.id === playlistId);
+        if (!playlist) return null;
+        if (playlist.videoIds.includes(videoId)) {
+            this.showNotification(`Already in "${playlist.name}"`, 'info');
+            return playlist;
+        }
+        return this.changePlaylist(playlistId, { videoIds: [...playlist.videoIds, videoId] }, `Added to "${playlist.name}"`);
+    }
+
+    async removeFromPlaylist(playlistId, videoId) {
+        const playlist = this.playlists.find(p => p.id === playlistId);
+        if (!playlist) return null;
+        return this.changePlaylist(playlistId, { videoIds: playlist.videoIds.filter(id => id !== videoId) }, `Removed from "${playlist.name}"`);
+    }
+
+    async movePlaylistVideo(playlistId, videoId, beforeVideoId) {
+        const playlist = this.playlists.find(p => p.id === playlistId);
+        if (!playlist || videoId === beforeVideoId) return null;
+
+        const videoIds = playlist.videoIds.filter(id => id !== videoId);
+        const targetIndex = beforeVideoId ? videoIds.indexOf(beforeVideoId) : -1;
+        videoIds.splice(targetIndex === -1 ? videoIds.length : targetIndex, 0, videoId);
+        return this.changePlaylist(playlistId, { videoIds });
+    }
+
+    // Optimistically applies a playlist change and rolls it back if the backend rejects it
+    async changePlaylist(playlistId, changes, successMessage = null) {
+        if (!this.ensureWritable()) return null;
+        const index = this.playlists.findIndex(p => p.id === playlistId);
+        if (index === -1) return null;
+
+        const previous = this.playlists[index];
+        this.playlists[index] = { ...previous, ...changes };
+        this.renderPlaylistSelector();
+        this.applyFiltersAndSearch();
+
+        try {
+            const updated = await this.services.repository.updatePlaylist(playlistId, changes);
+            const currentIndex = this.playlists.findIndex(p => p.id === playlistId);
+            if (currentIndex !== -1) this.playlists[currentIndex] = updated;
+            if (successMessage) this.showNotification(successMessage, 'success');
+            return updated;
+        } catch (error) {
+            console.error('Error updating playlist:', error);
+            const currentIndex = this.playlists.findIndex(p => p.id === playlistId);
+            if (currentIndex !== -1) this.playlists[currentIndex] = previous;
+            this.renderPlaylistSelector();
+            this.applyFiltersAndSearch();
+            this.showNotification('Failed to update playlist: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    async deletePlaylist(playlistId) {
+        if (!this.ensureWritable()) return false;
+        const index = this.playlists.findIndex(p => p.id === playlistId);
+        if (index === -1) return false;
+
+        const [removed] = this.playlists.splice(index, 1);
+        const wasActive = this.activePlaylistId === playlistId;
+        if (wasActive) this.activePlaylistId = null;
+        this.renderPlaylistSelector();
+        this.applyFiltersAndSearch();
+
+        try {
+            await this.services.repository.deletePlaylist(playlistId);
+            this.showNotification(`Deleted playlist "${removed.name}"`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error deleting playlist:', error);
+            this.playlists.splice(Math.min(index, this.playlists.length), 0, removed);
+            if (wasActive) this.activePlaylistId = playlistId;
+            this.renderPlaylistSelector();
+            this.applyFiltersAndSearch();
+            this.showNotification('Failed to delete playlist: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    renderPlaylistSelector() {
+        const selector = document.getElementById('activePlaylist');
+        if (!selector) return;
+
+        selector.innerHTML = [
+            '<option value="">All videos</option>',
+            ...this.playlists.map(playlist =>
+                `<option value="${playlist.id}">${this.escapeHtml(playlist.name)} (${playlist.videoIds.length})</option>`
+            )
+        ].join('');
+        selector.value = this.activePlaylistId || '';
+
+        const hasActive = Boolean(this.getActivePlaylist());
+        document.querySelectorAll('[data-requires-playlist]').forEach(button => {
+            button.disabled = !hasActive;
+        });
+        const syncBtn = document.getElementById('syncPlaylistBtn');
+        if (syncBtn) {
+            const activePlaylist = this.getActivePlaylist();
+            syncBtn.hidden = !(activePlaylist && activePlaylist.sourceUrl);
+        }
+        const videoList = document.getElementById('videoList');
+        if (videoList) videoList.classList.toggle('playlist-mode', hasActive);
+    }
+
     nextVideo() {
-        if (this.filteredVideos.length === 0) return null;
-        
-        const currentIndex = this.filteredVideos.findIndex(v => v.id === this.currentVideoId);
-        let nextIndex = currentIndex + 1;
-        
-        if (nextIndex >= this.filteredVideos.length) {
-            nextIndex = 0;
+        const queue = this.getPlaybackQueue();
+        if (queue.length === 0) return null;
+
+        // Manual "next" always moves on; only shuffle changes which video that is
+        const next = this.getNextVideoForMode(this.queueMode === 'shuffle' ? 'shuffle' : 'repeat_all');
+        return next ? this.loadVideoById(next.id) : null;
+    }
+
+    // Resolves what should follow the current video without loading it
+    getNextVideoForMode(mode = this.queueMode) {
+        const queue = this.getPlaybackQueue();
+        if (queue.length === 0) return null;
+
+        const currentIndex = queue.findIndex(v => v.id === this.currentVideoId);
+
+        switch (mode) {
+            case 'repeat_one':
+                return queue[currentIndex] || null;
+            case 'autoplay':
+                return currentIndex + 1 < queue.length ? queue[currentIndex + 1] : null;
+            case 'repeat_all':
+                return queue[(currentIndex + 1) % queue.length];
+            case 'shuffle':
+                return this.peekShuffleNext();
+            default:
+                return null;
         }
-        
-        return this.loadVideoById(this.filteredVideos[nextIndex].id);
+    }
+
+    peekShuffleNext() {
+        const queue = this.getPlaybackQueue();
+
+        // Replay forward history first so Next after Previous is stable
+        const forwardId = this.shuffleHistory[this.shuffleIndex + 1];
+        const forward = forwardId && queue.find(v => v.id === forwardId);
+        if (forward) return forward;
+
+        const recent = new Set(this.shuffleHistory.slice(-Math.max(0, queue.length - 1)));
+        let candidates = queue.filter(v => !recent.has(v.id) && v.id !== this.currentVideoId);
+        if (candidates.length === 0) {
+            candidates = queue.filter(v => v.id !== this.currentVideoId);
+        }
+        if (candidates.length === 0) return queue[0] || null;
+
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    recordShuffleHistory(videoId) {
+        if (this.queueMode !== 'shuffle') return;
+        if (this.shuffleHistory[this.shuffleIndex] === videoId) return;
+
+        if (this.shuffleHistory[this.shuffleIndex + 1] === videoId) {
+            this.shuffleIndex++;
+            return;
+        }
+
+        this.shuffleHistory = this.shuffleHistory.slice(0, this.shuffleIndex + 1);
+        this.shuffleHistory.push(videoId);
+        this.shuffleIndex = this.shuffleHistory.length - 1;
+    }
+
+    setQueueMode(mode) {
+        if (!CONFIG.PLAYBACK.QUEUE_MODES.includes(mode)) return;
+
+        this.queueMode = mode;
+        this.shuffleHistory = this.currentVideoId ? [this.currentVideoId] : [];
+        this.shuffleIndex = this.shuffleHistory.length - 1;
+        this.updateNavigationButtons();
+        this.persistState();
     }
 
     prevVideo() {
-        if (this.filteredVideos.length === 0) return null;
+        const queue = this.getPlaybackQueue();
+        if (queue.length === 0) return null;
+
+        if (this.queueMode === 'shuffle') {
+            if (this.shuffleIndex <= 0) return null;
+            this.shuffleIndex--;
+            return this.loadVideoById(this.shuffleHistory[this.shuffleIndex]);
+        }
         
-        const currentIndex = this.filteredVideos.findIndex(v => v.id === this.currentVideoId);
+        const currentIndex = queue.findIndex(v => v.id === this.currentVideoId);
         let prevIndex = currentIndex - 1;
         
         if (prevIndex < 0) {
-            prevIndex = this.filteredVideos.length - 1;
+            prevIndex = queue.length - 1;
         }
         
-        return this.loadVideoById(this.filteredVideos[prevIndex].id);
+        return this.loadVideoById(queue[prevIndex].id);
     }
 
     addToRecentlyPlayed(videoId) {
@@ -1224,6 +3037,19 @@ class EnhancedVideoManager {
         
         this.searchHistory.unshift(searchTerm);
         this.searchHistory = this.searchHistory.slice(0, 10);
+        this.persistState();
+    }
+
+    getSearchSuggestions(query) {
+        return this.searchService.getSuggestions(query, this.allVideos, this.searchHistory);
+    }
+
+    // Replaces the free text of the current query while keeping any typed operators
+    replaceSearchText(text) {
+        const clauses = this.searchService.parseQuery(this.currentSearchTerm).clauses;
+        return [...clauses.filter(clause => clause.kind !== 'text').map(clause => clause.raw), text]
+            .filter(Boolean)
+            .join(' ');
     }
 
     getRecentlyPlayedData(videoId) {
@@ -1241,13 +3067,107 @@ class EnhancedVideoManager {
     }
 
     restoreApplicationState() {
-        // No localStorage restoration needed - all state is managed in memory
+        const state = this.stateStore.load();
+
+        this.recentlyPlayed = state.recentlyPlayed;
+        this.searchHistory = state.searchHistory;
+        this.currentSortOption = state.currentSortOption;
+        this.currentFilters = { ...this.getDefaultFilters(), ...state.currentFilters };
+        this.currentPlatform = this.currentFilters.platform;
+        this.currentVideoId = state.currentVideoId;
+        this.analytics.importStats(state.analyticsStats);
+        this.playbackProgress.import(state.playbackPositions);
+        this.queueMode = CONFIG.PLAYBACK.QUEUE_MODES.includes(state.queueMode) ? state.queueMode : 'autoplay';
+        this.activePlaylistId = state.activePlaylistId;
+        this.captionPreferences = { ...AppStateStore.getDefaults().captionPreferences, ...state.captionPreferences };
+
+        this.syncControlsWithState();
+    }
+
+    saveApplicationState() {
+        this.stateStore.save({
+            recentlyPlayed: this.recentlyPlayed,
+            searchHistory: this.searchHistory,
+            currentSortOption: this.currentSortOption,
+            currentFilters: this.currentFilters,
+            currentVideoId: this.currentVideoId,
+            analyticsStats: this.analytics.exportStats(),
+            playbackPositions: this.playbackProgress.export(),
+            queueMode: this.queueMode,
+            activePlaylistId: this.activePlaylistId,
+            captionPreferences: this.captionPreferences
+        });
+    }
+
+    clearApplicationState() {
+        this.stateStore.clear();
+        this.restoreApplicationState();
+        this.applyFiltersAndSearch();
+        this.showNotification('Saved history and preferences cleared', 'success');
+    }
+
+    syncControlsWithState() {
+        const sortOptions = document.getElementById('sortOptions');
+        const filterOptions = document.getElementById('filterOptions');
+        const platform = this.currentFilters.platform;
+
+        if (sortOptions) sortOptions.value = this.getEffectiveSortOption();
+        if (filterOptions) filterOptions.value = platform;
+        document.querySelectorAll('.platform-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.platform === platform);
+        });
+
+        const videoSearch = document.getElementById('videoSearch');
+        if (videoSearch && videoSearch.value !== this.currentSearchTerm) videoSearch.value = this.currentSearchTerm;
+
+        // No field selection means every searchable field, so all boxes read as checked
+        const searchFields = this.currentFilters.searchFields || Object.keys(CONFIG.SEARCH.FIELD_LABELS);
+        Object.entries(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.fields).forEach(([inputId, field]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.checked = searchFields.includes(field);
+        });
+        Object.entries(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.durations).forEach(([inputId, bucket]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.checked = this.currentFilters.durations.includes(bucket);
+        });
+        Object.entries(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.statuses).forEach(([inputId, status]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.checked = this.currentFilters.statuses.includes(status);
+        });
+    }
+
+    readAdvancedFilters() {
+        const checked = (group) => Object.entries(group)
+            .filter(([inputId]) => document.getElementById(inputId)?.checked)
+            .map(([, value]) => value);
+
+        const fields = checked(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.fields);
+        const allFields = fields.length === 0 || fields.length === Object.keys(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.fields).length;
+
+        this.currentFilters = {
+            ...this.currentFilters,
+            searchFields: allFields ? null : fields,
+            durations: checked(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.durations),
+            statuses: checked(CONFIG.SEARCH.ADVANCED_FILTER_INPUTS.statuses)
+        };
+        this.applyFiltersAndSearch();
     }
 
     updateUI() {
+        const sortOptions = document.getElementById('sortOptions');
+        if (sortOptions) sortOptions.value = this.getEffectiveSortOption();
+
         this.updateVideoCount();
+        this.renderActiveFilters();
+        this.renderContinueWatching();
         this.renderPlaylist();
         this.updateNavigationButtons();
+    }
+
+    // Playback changes touch only the highlight, badges, shelf and buttons, never the list itself
+    updatePlaybackIndicators() {
+        this.renderContinueWatching();
+        this.updateNavigationButtons();
         this.updateActiveVideoHighlight();
     }
 
@@ -1267,54 +3187,127 @@ class EnhancedVideoManager {
         if (!videoList) return;
 
         if (this.filteredVideos.length === 0) {
+            if (this.virtualList) this.virtualList.clear();
             videoList.innerHTML = this.getEmptyStateHTML();
             return;
         }
 
-        videoList.innerHTML = this.filteredVideos.map((video, index) => 
-            this.createVideoItemHTML(video, index)
-        ).join('');
+        if (!this.virtualList) {
+            this.virtualList = new VirtualVideoList(videoList, {
+                renderItem: (video, index) => this.createVideoItemHTML(video, index),
+                onRender: (videos) => this.handleRowsMounted(videos)
+            });
+        }
+        this.virtualList.setItems(this.filteredVideos);
+    }
 
-        // Enhance thumbnails after initial render
-        this.enhanceThumbnails();
-        
-        // Setup lazy loading
+    handleRowsMounted(videos) {
+        this.performanceOptimizer.releaseDetached();
         this.performanceOptimizer.setupLazyLoading();
+        this.enhanceThumbnails(videos);
+    }
+
+    renderContinueWatching() {
+        const shelf = document.getElementById('continueWatching');
+        if (!shelf) return;
+
+        const items = this.playbackProgress.getInProgress()
+            .map(position => ({ position, video: this.allVideos.find(v => v.id === position.videoId) }))
+            .filter(item => item.video);
+
+        if (items.length === 0) {
+            shelf.innerHTML = '';
+            shelf.classList.remove('active');
+            return;
+        }
+
+        shelf.classList.add('active');
+        shelf.innerHTML = `
+            <div class="continue-watching-title"><i class="fas fa-history"></i> Continue watching</div>
+            <div class="continue-watching-list">
+                ${items.map(({ video, position }) => {
+                    const percent = position.duration ? Math.min(100, (position.time / position.duration) * 100) : 0;
+                    const remaining = position.duration ? `${this.formatTime(position.duration - position.time)} left` : `at ${this.formatTime(position.time)}`;
+                    return `
+                        <div class="continue-item" data-video-id="${this.escapeAttribute(video.id)}" title="Resume ${this.escapeAttribute(video.title)}">
+                            <img class="continue-thumb" src="${this.escapeAttribute(this.getThumbnailUrl(video))}" alt="" loading="lazy">
+                            <div class="continue-info">
+                                <div class="continue-item-title">${this.escapeHtml(video.title)}</div>
+                                <div class="continue-item-meta">${remaining}</div>
+                                <div class="progress-bar"><div class="progress-fill" style="width: ${percent.toFixed(1)}%"></div></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
     }
 
     createVideoItemHTML(video, index) {
         const isActive = video.id === this.currentVideoId;
-        const recentlyPlayed = this.getRecentlyPlayedData(video.id);
-        const popularityScore = this.calculatePopularityScore(video);
-        const analyticsStats = this.analytics.getVideoStats(video.id);
-        
-        const thumbnailUrl = this.getThumbnailUrl(video);
+        const thumbnailUrl = this.thumbnailManager.getCachedThumbnail(video, 'medium') || this.getThumbnailUrl(video);
         
         return `
-            <div class="video-item ${video.type} ${isActive ? 'active' : ''}" 
-                 data-video-id="${video.id}" data-index="${index}">
+            <div class="video-item ${this.escapeAttribute(video.type)} ${isActive ? 'active' : ''}" 
+                 data-video-id="${this.escapeAttribute(video.id)}" data-index="${index}" ${this.canReorderPlaylist() ? 'draggable="true"' : ''}>
                 <img class="video-thumb" src="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjcwIiB2aWV3Qm94PSIwIDAgMTAwIDcwIiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0IHdpZHRoPSIxMDAiIGhlaWdodD0iNzAiIGZpbGw9IiMzMzMiLz48cGF0aCBkPSJNMzUgMzBMNTAgNDVINjVMMzUiIHN0cm9rZT0iIzk5OSIgc3Ryb2tlLXdpZHRoPSIyIi8+PC9zdmc+" 
-                     data-lazy-src="${thumbnailUrl}"
-                     alt="${video.title}" loading="lazy"
+                     data-lazy-src="${this.escapeAttribute(thumbnailUrl)}"
+                     alt="${this.escapeAttribute(video.title)}" loading="lazy"
                      onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjcwIiB2aWV3Qm94PSIwIDAgMTAwIDcwIiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0IHdpZHRoPSIxMDAiIGhlaWdodD0iNzAiIGZpbGw9IiMzMzMiLz48cGF0aCBkPSJNMzUgMzBMNTAgNDVINjVMMzUiIHN0cm9rZT0iIzk5OSIgc3Ryb2tlLXdpZHRoPSIyIi8+PC9zdmc+'">
                 <div class="video-item-info">
                     <div class="video-item-title">${this.highlightSearchTerms(video.title)}</div>
-                    <div class="video-item-meta">
-                        <span class="video-duration">${video.duration || '--:--'}</span>
-                        <span class="platform-tag">${video.type}</span>
-                        ${recentlyPlayed ? '<span class="recent-badge" title="Recently played"><i class="fas fa-history"></i></span>' : ''}
-                        ${popularityScore > 10 ? '<span class="popularity-badge" title="Popular video"><i class="fas fa-fire"></i></span>' : ''}
-                        ${analyticsStats.playCount > 5 ? `<span class="play-count-badge" title="Played ${analyticsStats.playCount} times"><i class="fas fa-play-circle"></i> ${analyticsStats.playCount}</span>` : ''}
-                        ${isActive ? '<span class="currently-playing-badge"><i class="fas fa-play"></i> Playing</span>' : ''}
-                    </div>
-                    ${video.description ? `<div class="video-item-description">${this.truncateText(video.description, 60)}</div>` : ''}
+                    <div class="video-item-meta">${this.createVideoMetaHTML(video)}</div>
+                    ${this.createDescriptionHTML(video)}
+                </div>
+                <div class="video-item-actions">
+                    <button class="video-action-btn" data-action="playlist" title="Playlists"><i class="fas fa-list"></i></button>
+                    <button class="video-action-btn" data-action="edit" title="Edit video"><i class="fas fa-pen"></i></button>
+                    <button class="video-action-btn danger" data-action="delete" title="Delete video"><i class="fas fa-trash"></i></button>
                 </div>
             </div>
         `;
     }
 
-    async enhanceThumbnails() {
-        for (const video of this.filteredVideos.slice(0, 10)) { // Enhance first 10 only for performance
+    // A spoken-word hit replaces the description line so rows keep their fixed height
+    createDescriptionHTML(video) {
+        const fields = this.currentFilters.searchFields || CONFIG.SEARCH.SEARCH_FIELDS;
+        const cue = this.isSearchActive() && fields.includes('transcript')
+            ? this.searchService.findTranscriptMatch(video, this.parsedQuery)
+            : null;
+
+        if (cue) {
+            return `
+                <button class="video-item-description transcript-hit" data-action="seek" data-seek="${cue.start}" title="Play from ${this.formatTime(cue.start)}">
+                    <span class="transcript-hit-time"><i class="fas fa-quote-left"></i> ${this.formatTime(cue.start)}</span>
+                    ${this.highlightSearchTerms(this.truncateText(cue.text, CONFIG.SEARCH.TRANSCRIPT_SNIPPET_LENGTH))}
+                </button>
+            `;
+        }
+        return `<div class="video-item-description">${video.description ? this.escapeHtml(this.truncateText(video.description, 60)) : '&nbsp;'}</div>`;
+    }
+
+    createVideoMetaHTML(video) {
+        const isActive = video.id === this.currentVideoId;
+        const recentlyPlayed = this.getRecentlyPlayedData(video.id);
+        const popularityScore = this.calculatePopularityScore(video);
+        const analyticsStats = this.analytics.getVideoStats(video.id);
+
+        return `
+            <span class="video-duration">${this.escapeHtml(video.duration || '--:--')}</span>
+            <span class="platform-tag">${this.escapeHtml(video.type)}</span>
+            ${recentlyPlayed ? '<span class="recent-badge" title="Recently played"><i class="fas fa-history"></i></span>' : ''}
+            ${popularityScore > CONFIG.SEARCH.POPULARITY_THRESHOLD ? '<span class="popularity-badge" title="Popular video"><i class="fas fa-fire"></i></span>' : ''}
+            ${analyticsStats.playCount > 5 ? `<span class="play-count-badge" title="Played ${analyticsStats.playCount} times"><i class="fas fa-play-circle"></i> ${analyticsStats.playCount}</span>` : ''}
+            ${isActive ? '<span class="currently-playing-badge"><i class="fas fa-play"></i> Playing</span>' : ''}
+            ${video.pendingSync ? '<span class="pending-sync-badge" title="Waiting to sync"><i class="fas fa-cloud-upload-alt"></i></span>' : ''}
+        `;
+    }
+
+    // Enhances only the mounted rows; results are cached so remounted rows pick them up directly
+    async enhanceThumbnails(videos) {
+        for (const video of videos) {
+            if (this.thumbnailManager.getCachedThumbnail(video, 'medium') || this.pendingThumbnails.has(video.id)) continue;
+            this.pendingThumbnails.add(video.id);
             try {
                 const enhancedThumbnail = await this.thumbnailManager.getEnhancedThumbnail(video, 'medium');
                 const imgElement = document.querySelector(`[data-video-id="${video.id}"] .video-thumb`);
@@ -1323,6 +3316,8 @@ class EnhancedVideoManager {
                 }
             } catch (error) {
                 console.warn('Failed to enhance thumbnail for video:', video.id, error);
+            } finally {
+                this.pendingThumbnails.delete(video.id);
             }
         }
     }
@@ -1331,9 +3326,13 @@ class EnhancedVideoManager {
         let message = 'No videos available';
         let description = 'Try adjusting your search or filters';
 
-        if (this.currentSearchTerm) {
+        const activePlaylist = this.getActivePlaylist();
+        if (activePlaylist && activePlaylist.videoIds.length === 0) {
+            message = `"${this.escapeHtml(activePlaylist.name)}" is empty`;
+            description = 'Switch to All videos and right-click a video to add it';
+        } else if (this.currentSearchTerm) {
             message = 'No videos found';
-            description = `No results for "${this.currentSearchTerm}"`;
+            description = `No results for "${this.escapeHtml(this.currentSearchTerm)}"`;
         } else if (this.currentFilters.platform !== 'all') {
             message = `No ${this.currentFilters.platform} videos`;
             description = 'Try a different platform filter';
@@ -1344,7 +3343,7 @@ class EnhancedVideoManager {
                 <i class="fas fa-search"></i>
                 <h3>${message}</h3>
                 <p>${description}</p>
-                ${this.currentSearchTerm ? '<button onclick="window.clearAllFiltersAndSearch()" class="clear-all-btn">Clear All Filters</button>' : ''}
+                ${this.hasActiveFilters() ? '<button onclick="window.clearAllFiltersAndSearch()" class="clear-all-btn">Clear All Filters</button>' : ''}
             </div>
         `;
     }
@@ -1355,18 +3354,30 @@ class EnhancedVideoManager {
         
         if (!prevBtn || !nextBtn) return;
 
-        const hasVideos = this.filteredVideos.length > 0;
-        const currentIndex = this.filteredVideos.findIndex(v => v.id === this.currentVideoId);
+        const queue = this.getPlaybackQueue();
+        const hasVideos = queue.length > 0;
+        const currentIndex = queue.findIndex(v => v.id === this.currentVideoId);
         const hasSelection = currentIndex !== -1;
 
-        prevBtn.disabled = !hasVideos || !hasSelection || currentIndex === 0;
-        nextBtn.disabled = !hasVideos || !hasSelection || currentIndex === this.filteredVideos.length - 1;
+        const wraps = this.queueMode === 'shuffle' || this.queueMode === 'repeat_all';
+
+        prevBtn.disabled = !hasVideos || !hasSelection ||
+            (this.queueMode === 'shuffle' ? this.shuffleIndex <= 0 : currentIndex === 0);
+        nextBtn.disabled = !hasVideos || !hasSelection || (!wraps && currentIndex === queue.length - 1);
+
+        const queueMode = document.getElementById('queueMode');
+        if (queueMode) queueMode.value = this.queueMode;
     }
 
+    // Patches mounted rows in place so playback changes don't re-render the list
     updateActiveVideoHighlight() {
-        document.querySelectorAll('.video-item').forEach(item => {
-            const videoId = item.dataset.videoId;
-            item.classList.toggle('active', videoId === this.currentVideoId);
+        if (!this.virtualList) return;
+        this.virtualList.getMountedRows().forEach(item => {
+            const video = this.allVideos.find(v => v.id === item.dataset.videoId);
+            if (!video) return;
+            item.classList.toggle('active', video.id === this.currentVideoId);
+            const meta = item.querySelector('.video-item-meta');
+            if (meta) meta.innerHTML = this.createVideoMetaHTML(video);
         });
     }
 
@@ -1385,9 +3396,16 @@ class EnhancedVideoManager {
     }
 
     highlightSearchTerms(text) {
-        if (!this.currentSearchTerm || !text) return this.escapeHtml(text);
-        const regex = new RegExp(`(${this.currentSearchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        return this.escapeHtml(text).replace(regex, '<mark class="search-highlight">$1</mark>');
+        if (!this.isSearchActive() || !text || !this.parsedQuery) return this.escapeHtml(text);
+        const positivePhrases = this.parsedQuery.clauses
+            .filter(clause => clause.kind === 'phrase' && !clause.negated)
+            .map(clause => clause.value);
+        const terms = this.searchService.tokenize([this.parsedQuery.text, ...positivePhrases].join(' '))
+            .map(term => this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (terms.length === 0) return this.escapeHtml(text);
+        // Highlight word starts so prefix matches are visible too
+        const regex = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.join('|')})`, 'giu');
+        return this.escapeHtml(text).replace(regex, '$1<mark class="search-highlight">$2</mark>');
     }
 
     escapeHtml(text) {
@@ -1396,6 +3414,16 @@ class EnhancedVideoManager {
         return div.innerHTML;
     }
 
+    // innerHTML leaves quotes alone, so values placed inside attributes need this instead
+    escapeAttribute(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     truncateText(text, length) {
         if (!text) return '';
         return text.length > length ? text.substring(0, length) + '...' : text;
@@ -1412,6 +3440,14 @@ class EnhancedVideoManager {
         return 0;
     }
 
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
     showNotification(message, type = 'success') {
         const notification = document.getElementById('notification');
         const notificationText = document.getElementById('notificationText');
@@ -1429,11 +3465,120 @@ class EnhancedVideoManager {
         }, CONFIG.UI.NOTIFICATION_TIMEOUT);
     }
 
-    async addCustomVideo(url) {
+    // Record shape for the repository; imported title/tags/category take precedence over metadata
+    buildVideoData(metadata, overrides = {}) {
+        return {
+            id: metadata.videoId,
+            title: overrides.title || metadata.title,
+            description: overrides.description || metadata.description,
+            type: metadata.type,
+            duration: metadata.duration || '--:--',
+            url: metadata.embedUrls[0],
+            embedUrls: metadata.embedUrls,
+            thumbnail: metadata.thumbnail,
+            originalUrl: metadata.originalUrl,
+            author: metadata.author || '',
+            viewCount: metadata.viewCount || 0,
+            uploadDate: metadata.uploadDate || '',
+            tags: overrides.tags && overrides.tags.length > 0 ? overrides.tags : [],
+            category: overrides.category || 'general'
+        };
+    }
+
+    // Parses, de-duplicates and enriches import rows, reporting each row as it settles
+    async previewImport(rows, onRowChange = () => {}) {
+        const seen = new Set();
+        const pending = [];
+
+        rows.forEach(row => {
+            row.status = 'pending';
+            row.message = 'Fetching details...';
+
+            const parsed = row.url ? UniversalVideoParser.parseURL(row.url) : null;
+            if (!parsed) {
+                row.status = 'error';
+                row.message = row.url ? 'Unsupported video URL' : 'Missing URL';
+                return;
+            }
+
+            const key = UniversalVideoParser.getCanonicalKey(parsed);
+            const existing = this.duplicateChecker.findDuplicate(parsed);
+            if (seen.has(key)) {
+                row.status = 'duplicate';
+                row.message = 'Listed more than once in this import';
+            } else if (existing) {
+                row.status = 'duplicate';
+                row.message = `Already in library as "${existing.title}"`;
+            } else {
+                row.parsed = parsed;
+                pending.push(row);
+            }
+            seen.add(key);
+        });
+        rows.forEach(row => onRowChange(row));
+
+        const enrich = async (row) => {
+            try {
+                const metadata = await this.services.metadata.fetchEnhancedMetadata(row.parsed);
+                row.video = this.buildVideoData(metadata, row);
+                row.status = 'ready';
+                row.message = '';
+            } catch (error) {
+                row.status = 'error';
+                row.message = `Could not read video details: ${error.message}`;
+            }
+            onRowChange(row);
+        };
+
+        // A small worker pool keeps metadata lookups from flooding the network
+        const queue = [...pending];
+        const workers = Array.from({ length: Math.min(CONFIG.IMPORT.ENRICH_CONCURRENCY, queue.length) }, async () => {
+            while (queue.length > 0) await enrich(queue.shift());
+        });
+        await Promise.all(workers);
+        return rows;
+    }
+
+    async importRows(rows, onProgress = () => {}) {
+        if (!this.ensureWritable()) return null;
+        const readyRows = rows.filter(row => row.status === 'ready');
+        if (readyRows.length === 0) return { imported: 0, failed: 0 };
+
+        const results = await this.services.repository.addVideos(
+            readyRows.map(row => row.video),
+            { onProgress }
+        );
+
+        let imported = 0;
+        results.forEach((result, index) => {
+            const row = readyRows[index];
+            if (result.video) {
+                this.allVideos.push(result.video);
+                row.status = 'imported';
+                row.message = '';
+                imported++;
+            } else {
+                row.status = 'failed';
+                row.message = result.error ? result.error.message : 'Import failed';
+            }
+        });
+
+        await this.refreshLibrary();
+        const failed = readyRows.length - imported;
+        this.showNotification(
+            failed > 0 ? `Imported ${imported} videos, ${failed} failed` : `Imported ${imported} videos`,
+            failed > 0 ? 'warning' : 'success'
+        );
+        return { imported, failed };
+    }
+
+    // onDuplicate(candidate, existing) resolves to 'add', 'open' or 'cancel'
+    async addCustomVideo(url, { onDuplicate = async () => 'cancel' } = {}) {
         if (!url) {
             this.showNotification('Please enter a video URL', 'warning');
             return null;
         }
+        if (!this.ensureWritable()) return null;
 
         try {
             const parsed = UniversalVideoParser.parseURL(url);
@@ -1441,12 +3586,6 @@ class EnhancedVideoManager {
                 throw new Error('Unsupported video URL format');
             }
 
-            // Check for duplicates
-            if (this.duplicateChecker.isDuplicate(parsed, this.allVideos)) {
-                this.showNotification('This video already exists in your library', 'warning');
-                return null;
-            }
-
             // Check availability
             const isAvailable = await this.availabilityChecker.checkVideoAvailability(parsed);
             if (!isAvailable) {
@@ -1455,30 +3594,33 @@ class EnhancedVideoManager {
 
             // Enhance metadata
             const enhancedMetadata = await this.services.metadata.fetchEnhancedMetadata(parsed);
+            const videoData = this.buildVideoData(enhancedMetadata);
+
+            // Checked after enrichment so the dialog can show the real title of both videos
+            const existing = this.duplicateChecker.findDuplicate(enhancedMetadata);
+            if (existing) {
+                const choice = await onDuplicate(videoData, existing);
+                if (choice === 'open') return existing;
+                if (choice !== 'add') {
+                    this.showNotification('This video already exists in your library', 'warning');
+                    return null;
+                }
+            }
 
-            const videoData = {
-                id: enhancedMetadata.videoId,
-                title: enhancedMetadata.title,
-                description: enhancedMetadata.description,
-                type: enhancedMetadata.type,
-                duration: enhancedMetadata.duration || '--:--',
-                url: enhancedMetadata.embedUrls[0],
-                embedUrls: enhancedMetadata.embedUrls,
-                thumbnail: enhancedMetadata.thumbnail,
-                originalUrl: enhancedMetadata.originalUrl,
-                author: enhancedMetadata.author || '',
-                viewCount: enhancedMetadata.viewCount || 0,
-                uploadDate: enhancedMetadata.uploadDate || ''
-            };
+            if (this.isOffline()) {
+                const queuedVideo = this.offlineQueue.enqueueAdd(videoData);
+                this.allVideos.push(queuedVideo);
+                await this.refreshLibrary();
+                this.renderConnectionStatus();
+                this.showNotification('You are offline; the video was saved and will sync when you reconnect', 'info');
+                return queuedVideo;
+            }
 
-            const createdVideo = await this.services.airtable.addVideo(videoData);
+            const createdVideo = await this.services.repository.addVideo(videoData);
             
-            // Update local state
+            // Update local state and refresh the view
             this.allVideos.push(createdVideo);
-            await this.searchService.buildSearchIndex(this.allVideos);
-            
-            // Refresh view
-            this.applyFiltersAndSearch();
+            await this.refreshLibrary();
             
             this.showNotification('Video added successfully!', 'success');
             return createdVideo;
@@ -1490,733 +3632,4682 @@ class EnhancedVideoManager {
         }
     }
 
-    getRecommendedVideos(limit = 5) {
-        return this.analytics.getPopularVideos(this.allVideos, limit);
-    }
+    // Adds each video of a YouTube playlist or channel as its own entry, in feed order.
+    // Running it again for the same source only adds what is new, which is how sync works.
+    async importYouTubeCollection(url) {
+        if (!this.ensureWritable()) return null;
+        let collection = UniversalVideoParser.parseYouTubeCollection(url);
+        if (!collection) {
+            this.showNotification('Not a YouTube playlist or channel URL', 'warning');
+            return null;
+        }
 
-    async cleanupUnavailableVideos() {
-        const unavailableVideos = [];
-        
-        for (const video of this.allVideos.slice(0, 20)) { // Check first 20 for performance
-            try {
-                const isAvailable = await this.availabilityChecker.checkVideoAvailability(video);
-                if (!isAvailable) {
-                    unavailableVideos.push(video);
+        try {
+            collection = await this.services.youtubeFeed.resolveCollection(collection);
+            const feed = await this.services.youtubeFeed.fetchCollection(collection);
+            if (feed.entries.length === 0) {
+                this.showNotification('This playlist has no public videos', 'warning');
+                return null;
+            }
+
+            const existing = new Map(this.allVideos
+                .filter(video => video.type === 'youtube')
+                .map(video => [video.videoId, video]));
+            const newEntries = feed.entries.filter(entry => !existing.has(entry.videoId));
+            const videos = await Promise.all(newEntries.map(entry => this.buildFeedVideoData(entry, collection)));
+            const results = videos.length > 0 ? await this.services.repository.addVideos(videos) : [];
+
+            let failed = 0;
+            results.forEach((result, index) => {
+                if (result.video) {
+                    this.allVideos.push(result.video);
+                    existing.set(newEntries[index].videoId, result.video);
+                } else {
+                    failed++;
                 }
-            } catch (error) {
-                console.warn('Error checking availability for video:', video.id, error);
+            });
+
+            const orderedIds = feed.entries
+                .map(entry => existing.get(entry.videoId))
+                .filter(Boolean)
+                .map(video => video.id);
+            const playlist = await this.syncSourcePlaylist(collection, feed.title, orderedIds);
+
+            await this.refreshLibrary();
+            const added = results.length - failed;
+            const name = playlist ? playlist.name : feed.title;
+            // A list that may have unread items is never called up to date
+            const counts = failed > 0 ? `added ${added}, ${failed} failed` : `added ${added}`;
+            if (playlist && !playlist.sourceUrl) {
+                // The base has no sourceUrl column, so nothing links the playlist back for a later sync
+                this.showNotification(`Imported "${name}" (${counts}). Add a "sourceUrl" field to the ${CONFIG.AIRTABLE.PLAYLISTS_TABLE_NAME} table to sync it later.`, 'warning');
+            } else if (feed.truncated) {
+                this.showNotification(`Only the first ${feed.entries.length} videos of "${name}" were read (${counts}). Raise CONFIG.YOUTUBE.API_MAX_PAGES to import the rest.`, 'warning');
+            } else if (feed.mayBeTruncated) {
+                this.showNotification(`The feed lists at most ${feed.entries.length} videos, so "${name}" may have more (${counts}). Set a YouTube API key to import the full list.`, 'warning');
+            } else if (failed > 0) {
+                this.showNotification(`Added ${added} videos from "${name}", ${failed} failed`, 'warning');
+            } else {
+                this.showNotification(added > 0 ? `Added ${added} videos from "${name}"` : `"${name}" is up to date`, 'success');
             }
+            return { added, failed, playlist, truncated: feed.truncated };
+        } catch (error) {
+            console.error('Error importing YouTube collection:', error);
+            this.showNotification('Failed to import playlist: ' + error.message, 'error');
+            return null;
         }
-        
-        return unavailableVideos;
     }
 
-    exportVideoList(format = 'json') {
-        const data = this.filteredVideos.length > 0 ? this.filteredVideos : this.allVideos;
-        
-        if (format === 'json') {
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `videos-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+    async syncPlaylist(playlistId) {
+        const playlist = this.playlists.find(p => p.id === playlistId);
+        if (!playlist || !playlist.sourceUrl) return null;
+        return this.importYouTubeCollection(playlist.sourceUrl);
+    }
+
+    // Feed entries carry title, author and description; oEmbed only fills in what the feed left out
+    async buildFeedVideoData(entry, collection) {
+        const parsed = UniversalVideoParser.parseURL(`https://www.youtube.com/watch?v=${entry.videoId}`);
+        let metadata = {
+            ...parsed,
+            title: entry.title || parsed.title,
+            description: entry.description || '',
+            author: entry.author,
+            thumbnail: entry.thumbnail || parsed.thumbnail,
+            uploadDate: entry.published
+        };
+        if (!entry.title) {
+            metadata = await this.services.metadata.fetchEnhancedMetadata(metadata);
         }
-        
-        this.showNotification(`Exported ${data.length} videos as ${format.toUpperCase()}`, 'success');
+        return { ...this.buildVideoData(metadata), sourceUrl: collection.sourceUrl };
     }
-}
 
-// ==================== ENHANCED VIDEO PLAYER CONTROLLER ====================
-class EnhancedVideoPlayer {
-    constructor(videoManager) {
-        this.videoManager = videoManager;
-        this.videoContainer = document.querySelector('.video-container');
-        this.videoPlayer = document.getElementById('videoPlayer');
-        this.currentVideoTitle = document.getElementById('currentVideoTitle');
-        this.currentVideoDescription = document.getElementById('currentVideoDescription');
-        this.currentPlatformBadge = document.getElementById('currentPlatformBadge');
-        this.fallbackMessage = document.getElementById('fallbackMessage');
-        this.currentEmbedIndex = 0;
-        this.currentVideoData = null;
-        this.playbackStartTime = null;
-        this.setupFallbackOptions();
+    // Each source gets one mirroring playlist; new items keep the feed's relative order
+    async syncSourcePlaylist(collection, title, orderedIds) {
+        const playlist = this.playlists.find(p => p.sourceUrl === collection.sourceUrl);
+        if (!playlist) {
+            return this.createPlaylist(title || 'YouTube playlist', orderedIds, { sourceUrl: collection.sourceUrl });
+        }
+
+        const known = new Set(playlist.videoIds);
+        const additions = orderedIds.filter(id => !known.has(id));
+        if (additions.length === 0) return playlist;
+
+        // Channel feeds list newest uploads first, so those go on top; playlists grow at the end
+        const videoIds = collection.kind === 'channel'
+            ? [...additions, ...playlist.videoIds]
+            : [...playlist.videoIds, ...additions];
+        return this.changePlaylist(playlist.id, { videoIds });
     }
 
-    async loadVideo(video) {
-        if (!video) return;
+    async updateVideo(videoId, changes, { successMessage = 'Video updated' } = {}) {
+        if (!this.ensureWritable()) return null;
+        const index = this.allVideos.findIndex(v => v.id === videoId);
+        if (index === -1) {
+            this.showNotification('Video not found in library', 'error');
+            return null;
+        }
 
-        // Track video load event
-        this.videoManager.analytics.trackVideoEvent('load', video);
+        // Optimistic update, rolled back if the backend rejects the change
+        const previous = this.allVideos[index];
+        this.allVideos[index] = { ...previous, ...changes };
+
+        // Videos added offline have no backend record yet, so their edits queue too
+        if (this.isOffline() || OfflineWriteQueue.isLocalId(videoId)) {
+            this.offlineQueue.enqueueUpdate(videoId, changes);
+            this.allVideos[index].pendingSync = true;
+            await this.refreshLibrary();
+            this.renderConnectionStatus();
+            this.showNotification(`${successMessage} (offline, will sync when you reconnect)`, 'info');
+            return this.allVideos[index];
+        }
+        await this.refreshLibrary();
 
-        this.videoManager.loadVideoById(video.id);
-        this.fallbackMessage.style.display = 'none';
-        this.currentEmbedIndex = 0;
-        this.currentVideoData = video;
-        this.playbackStartTime = Date.now();
+        try {
+            const updated = await this.services.repository.updateVideo(videoId, changes);
+            const merged = { ...previous, ...updated, embedUrls: changes.embedUrls || previous.embedUrls };
+            const currentIndex = this.allVideos.findIndex(v => v.id === videoId);
+            if (currentIndex !== -1) this.allVideos[currentIndex] = merged;
+            await this.refreshLibrary();
+            this.showNotification(successMessage, 'success');
+            return merged;
+        } catch (error) {
+            console.error('Error updating video:', error);
+            const currentIndex = this.allVideos.findIndex(v => v.id === videoId);
+            if (currentIndex !== -1) this.allVideos[currentIndex] = previous;
+            await this.refreshLibrary();
+            this.showNotification('Failed to update video: ' + error.message, 'error');
+            return null;
+        }
+    }
 
-        // Show loading state
-        this.currentVideoTitle.textContent = 'Loading...';
-        this.currentVideoDescription.textContent = 'Fetching video information...';
+    async archiveVideo(videoId) {
+        // A video added offline only exists in the queue, so dropping it there is enough
+        const operation = OfflineWriteQueue.isLocalId(videoId)
+            ? () => this.discardOfflineVideo(videoId)
+            : () => this.services.repository.archiveVideo(videoId);
+        return this.removeVideo(videoId, operation, 'archived');
+    }
 
-        let embedUrls = video.embedUrls || [video.url || ""];
-        let badgeClass = "";
-        let badgeText = "";
+    async deleteVideo(videoId) {
+        const operation = OfflineWriteQueue.isLocalId(videoId)
+            ? () => this.discardOfflineVideo(videoId)
+            : () => this.services.repository.deleteVideo(videoId);
+        return this.removeVideo(videoId, operation, 'deleted');
+    }
 
-        // Determine platform and set appropriate badge
-        const platformConfig = {
-            "youtube": { class: "badge-youtube", text: "YouTube" },
-            "youtube_playlist": { class: "badge-youtube", text: "YouTube Playlist" },
-            "drive": { class: "badge-drive", text: "Google Drive" },
-            "vimeo": { class: "badge-vimeo", text: "Vimeo" },
-            "dailymotion": { class: "badge-dailymotion", text: "Dailymotion" },
-            "facebook": { class: "badge-facebook", text: "Facebook" },
-            "instagram": { class: "badge-instagram", text: "Instagram" },
-            "tiktok": { class: "badge-tiktok", text: "TikTok" },
-            "twitter": { class: "badge-twitter", text: "Twitter/X" },
-            "twitch": { class: "badge-twitch", text: "Twitch" },
-            "streamable": { class: "badge-streamable", text: "Streamable" },
-            "dropbox": { class: "badge-dropbox", text: "Dropbox" },
-            "photos": { class: "badge-photos", text: "Google Photos" },
-            "direct": { class: "badge-direct", text: "Direct Video" }
-        };
+    discardOfflineVideo(videoId) {
+        this.offlineQueue.discard(videoId);
+        this.renderConnectionStatus();
+    }
 
-        const config = platformConfig[video.type] || { class: "badge-other", text: video.type.charAt(0).toUpperCase() + video.type.slice(1) };
-        badgeClass = config.class;
-        badgeText = config.text;
+    isOffline() {
+        return Boolean(this.services.repository.requiresNetwork) && !navigator.onLine;
+    }
 
-        if (video.type === 'direct') {
-            this.loadDirectVideo(video, embedUrls[0]);
+    // The service worker keys Airtable responses by URL alone, whatever token fetched them,
+    // so the snapshot has to go whenever the credentials behind it change or are removed
+    async clearLibraryCache() {
+        if (!('caches' in window)) return;
+        try {
+            const names = await caches.keys();
+            await Promise.all(names
+                .filter(name => name.startsWith(CONFIG.OFFLINE.LIBRARY_CACHE_PREFIX))
+                .map(name => caches.delete(name)));
+        } catch (error) {
+            console.warn('Could not clear the offline library cache:', error);
+        }
+    }
+
+    // Called whenever the repository is swapped, so the queue always matches the open library
+    bindOfflineQueue() {
+        clearTimeout(this.offlineRetryTimer);
+        this.offlineRetryDelay = CONFIG.OFFLINE.RETRY_DELAY;
+        this.offlineQueue = new OfflineWriteQueue(OfflineWriteQueue.storageKeyFor(this.settings));
+        this.renderConnectionStatus();
+    }
+
+    async syncOfflineChanges() {
+        clearTimeout(this.offlineRetryTimer);
+        if (this.offlineSyncRunning || this.offlineQueue.operations.length === 0 || this.isOffline()) return;
+        if (this.isReadOnly()) {
+            this.showNotification('Offline changes are waiting, but the library is read-only', 'warning');
             return;
         }
 
-        // Check video availability before loading
-        const isAvailable = await this.videoManager.availabilityChecker.checkVideoAvailability(video);
-        if (!isAvailable) {
-            this.showFallbackMessage(video);
-            this.videoManager.showNotification('Video may not be available', 'warning');
+        this.offlineSyncRunning = true;
+        this.renderConnectionStatus();
+        try {
+            const { synced, rejected, created, stalled } = await this.offlineQueue.flush(this.services.repository);
+
+            // Swap stand-in records for the ones the backend created
+            created.forEach((video, localId) => {
+                const index = this.allVideos.findIndex(v => v.id === localId);
+                if (index !== -1) this.allVideos[index] = video;
+                if (this.currentVideoId === localId) this.currentVideoId = video.id;
+            });
+            this.clearSyncedFlags();
+            await this.refreshLibrary();
+
+            if (synced > 0) {
+                this.showNotification(`Synced ${synced} offline change${synced !== 1 ? 's' : ''}`, 'success');
+            }
+            if (rejected.length > 0) {
+                this.showNotification(
+                    `${rejected.length} offline change${rejected.length !== 1 ? 's were' : ' was'} rejected; click the connection status to review`,
+                    'error'
+                );
+            }
+            if (stalled) {
+                this.scheduleOfflineRetry();
+            } else {
+                this.offlineRetryDelay = CONFIG.OFFLINE.RETRY_DELAY;
+            }
+        } finally {
+            this.offlineSyncRunning = false;
+            this.renderConnectionStatus();
+        }
+    }
+
+    // Backs off while the library keeps timing out or erroring, up to MAX_RETRY_DELAY
+    scheduleOfflineRetry() {
+        const delay = this.offlineRetryDelay;
+        this.offlineRetryDelay = Math.min(delay * 2, CONFIG.OFFLINE.MAX_RETRY_DELAY);
+        this.offlineRetryTimer = setTimeout(() => this.syncOfflineChanges(), delay);
+        const pending = this.offlineQueue.operations.length;
+        this.showNotification(
+            `Could not reach the library; ${pending} change${pending !== 1 ? 's' : ''} will retry in ${Math.round(delay / 1000)}s`,
+            'warning'
+        );
+    }
+
+    clearSyncedFlags() {
+        this.allVideos = this.allVideos.map(video => {
+            if (!video.pendingSync || this.offlineQueue.hasPending(video.id)) return video;
+            const { pendingSync, ...rest } = video;
+            return rest;
+        });
+    }
+
+    async retryRejectedChange(operationId) {
+        if (!this.offlineQueue.retryRejected(operationId)) return;
+        this.renderConnectionStatus();
+        await this.syncOfflineChanges();
+    }
+
+    // A discarded add takes its stand-in record with it; a discarded edit needs the
+    // backend's copy back, so the library reloads when it can
+    async discardRejectedChange(operationId) {
+        const op = this.offlineQueue.discardRejected(operationId);
+        if (!op) return;
+
+        if (op.kind === 'add') {
+            this.allVideos = this.allVideos.filter(video => video.id !== op.videoId);
+            await this.refreshLibrary();
+        } else if (!this.isOffline()) {
+            await this.loadVideos();
+        } else {
+            this.clearSyncedFlags();
+            await this.refreshLibrary();
+        }
+        this.renderConnectionStatus();
+        this.showNotification('Offline change discarded', 'info');
+    }
+
+    renderConnectionStatus() {
+        const indicator = document.getElementById('connectionStatus');
+        if (!indicator) return;
+
+        const online = navigator.onLine;
+        const pending = this.offlineQueue.operations.length;
+        const failed = this.offlineQueue.rejected.length;
+        let label = online ? 'Online' : 'Offline';
+        if (this.offlineSyncRunning) {
+            label = 'Syncing\u2026';
+        } else {
+            if (pending > 0) label += ` \u00b7 ${pending} pending`;
+            if (failed > 0) label += ` \u00b7 ${failed} failed`;
+        }
+
+        indicator.classList.toggle('offline', !online);
+        indicator.classList.toggle('pending', pending > 0);
+        indicator.classList.toggle('failed', failed > 0);
+        indicator.querySelector('.connection-label').textContent = label;
+        indicator.title = failed > 0
+            ? 'Some offline changes were rejected; click to review'
+            : online
+                ? (pending > 0 ? 'Offline changes are waiting to sync' : 'Connected')
+                : 'Offline: showing the last saved library; changes will sync when you reconnect';
+    }
+
+    async removeVideo(videoId, operation, verb) {
+        if (!this.ensureWritable()) return false;
+        const index = this.allVideos.findIndex(v => v.id === videoId);
+        if (index === -1) {
+            this.showNotification('Video not found in library', 'error');
+            return false;
+        }
+
+        // Optimistic removal, restored at the same position on failure
+        const [removed] = this.allVideos.splice(index, 1);
+        await this.refreshLibrary();
+
+        try {
+            await operation();
+            this.showNotification(`Video ${verb}`, 'success');
+            return true;
+        } catch (error) {
+            console.error(`Error removing video (${verb}):`, error);
+            this.allVideos.splice(Math.min(index, this.allVideos.length), 0, removed);
+            await this.refreshLibrary();
+            this.showNotification(`Failed to ${verb === 'deleted' ? 'delete' : 'archive'} video: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    // Stores the real duration reported by a player without user-facing notifications
+    async saveDetectedDuration(videoId, seconds) {
+        if (!Number.isFinite(seconds) || seconds <= 0) return;
+
+        // Only fill in a missing or unreadable duration; a stored one that differs merely in
+        // formatting ("04:05" vs "4:05") or rounding must not trigger a write
+        const video = this.allVideos.find(v => v.id === videoId);
+        if (!video) return;
+        const storedSeconds = this.parseDuration(video.duration);
+        if (Number.isFinite(storedSeconds) && storedSeconds > 0) return;
+
+        const duration = this.formatTime(seconds);
+        video.duration = duration;
+        this.updateActiveVideoHighlight();
+
+        if (this.isReadOnly()) return;
+        try {
+            await this.services.repository.updateVideo(videoId, { duration });
+        } catch (error) {
+            console.warn('Failed to save detected duration:', error);
+        }
+    }
+
+    async refreshLibrary() {
+        this.duplicateChecker.indexLibrary(this.allVideos);
+        await this.searchService.buildSearchIndex(this.allVideos);
+        this.applyFiltersAndSearch();
+    }
+
+    getRecommendedVideos(limit = 5) {
+        return this.analytics.getPopularVideos(this.allVideos, limit);
+    }
+
+    // Probes the whole library through a small worker pool and stores the outcome on each record
+    async runHealthScan({ onProgress = () => {} } = {}) {
+        if (this.healthScanRunning) return null;
+        this.healthScanRunning = true;
+
+        try {
+            const videos = [...this.allVideos];
+            const queue = videos.map((video, index) => ({ video, index }));
+            const results = new Array(videos.length);
+            let done = 0;
+
+            const workers = Array.from({ length: Math.min(CONFIG.HEALTH.CONCURRENCY, queue.length) }, async () => {
+                while (queue.length > 0) {
+                    const { video, index } = queue.shift();
+                    results[index] = { videoId: video.id, ...(await this.availabilityChecker.probe(video)) };
+                    onProgress({ done: ++done, total: videos.length });
+                }
+            });
+            await Promise.all(workers);
+
+            const checkedAt = new Date().toISOString();
+            results.forEach(result => {
+                const video = this.allVideos.find(v => v.id === result.videoId);
+                if (video) Object.assign(video, { lastChecked: checkedAt, healthStatus: result.status });
+            });
+            this.healthReport = { checkedAt, results };
+
+            if (!this.isReadOnly() && !this.healthColumnsMissing && results.length > 0) {
+                await this.saveHealthResults(results, checkedAt);
+            }
+            return this.healthReport;
+        } finally {
+            this.healthScanRunning = false;
+        }
+    }
+
+    // One record goes first so a base without the health columns fails once, not per batch
+    async saveHealthResults(results, checkedAt) {
+        const updates = results.map(result => ({
+            id: result.videoId,
+            changes: { lastChecked: checkedAt, healthStatus: result.status }
+        }));
+        const repository = this.services.repository;
+
+        try {
+            await repository.updateVideo(updates[0].id, updates[0].changes);
+        } catch (error) {
+            // Other 422s, such as a healthStatus select without this option, are not missing columns
+            if (error.type === 'UNKNOWN_FIELD_NAME') {
+                this.healthColumnsMissing = true;
+                this.showNotification('Health results were not saved: add "lastChecked" and "healthStatus" fields to your video table', 'warning');
+            } else {
+                console.error('Error saving health results:', error);
+                this.showNotification('Health results could not be saved: ' + error.message, 'warning');
+            }
             return;
         }
 
-        // Set up loading timeout and error handling
-        const loadingTimeout = setTimeout(() => {
-            this.showFallbackMessage(video);
-        }, 10000);
+        const saved = await repository.updateVideos(updates.slice(1));
+        const failed = saved.filter(result => result.error).length;
+        if (failed > 0) {
+            this.showNotification(`Could not save health results for ${failed} video${failed !== 1 ? 's' : ''}`, 'warning');
+        }
+    }
 
-        const onLoad = () => {
-            clearTimeout(loadingTimeout);
-            this.videoPlayer.style.display = 'block';
-            this.videoManager.showNotification(`Loaded ${badgeText} video`, 'success');
-            this.videoManager.analytics.trackVideoEvent('play', video);
-        };
+    // Report rows for videos still in the library, worst problems first
+    // Falls back to results stored on the records by an earlier session's scan
+    getHealthReportRows() {
+        const results = this.healthReport
+            ? this.healthReport.results
+            : this.allVideos
+                .filter(video => video.healthStatus)
+                .map(video => ({ videoId: video.id, status: video.healthStatus, detail: '' }));
+        const order = Object.keys(CONFIG.HEALTH.STATUSES);
+        return results
+            .map(result => ({ ...result, video: this.allVideos.find(v => v.id === result.videoId) }))
+            .filter(row => row.video)
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+    }
 
-        const onError = () => {
-            clearTimeout(loadingTimeout);
-            this.videoManager.analytics.trackVideoEvent('error', video, { error: 'embed_failed' });
-            this.handleEmbedError(video, embedUrls);
-        };
+    async archiveVideos(videoIds) {
+        if (!this.ensureWritable() || videoIds.length === 0) return 0;
 
-        this.videoPlayer.onload = onLoad;
-        this.videoPlayer.onerror = onError;
+        const results = await this.services.repository.updateVideos(
+            videoIds.map(id => ({ id, changes: { status: 'inactive' } }))
+        );
+        const archived = new Set(videoIds.filter((id, index) => results[index].video));
+        this.allVideos = this.allVideos.filter(video => !archived.has(video.id));
+        await this.refreshLibrary();
+
+        const failed = videoIds.length - archived.size;
+        this.showNotification(
+            failed > 0 ? `Archived ${archived.size} videos, ${failed} failed` : `Archived ${archived.size} videos`,
+            failed > 0 ? 'warning' : 'success'
+        );
+        return archived.size;
+    }
 
-        // Load the first embed URL
-        this.videoPlayer.src = embedUrls[0];
-        this.videoPlayer.style.display = 'block';
+    // Points an existing record at a new URL, keeping its title, tags and history
+    async relinkVideo(videoId, url) {
+        const parsed = UniversalVideoParser.parseURL(url);
+        if (!parsed) {
+            this.showNotification('Unsupported video URL format', 'warning');
+            return null;
+        }
 
-        // Update UI with video information
-        this.currentVideoTitle.textContent = video.title;
-        this.currentVideoDescription.textContent = video.description;
-        this.currentPlatformBadge.className = `platform-badge ${badgeClass}`;
-        this.currentPlatformBadge.textContent = badgeText;
+        const existing = this.duplicateChecker.findDuplicate(parsed);
+        if (existing && existing.id !== videoId) {
+            this.showNotification(`That URL is already in your library as "${existing.title}"`, 'warning');
+            return null;
+        }
 
-        this.setupFallbackOptions(video);
+        const { status, detail } = await this.availabilityChecker.probe(parsed);
+        const reportRow = this.healthReport && this.healthReport.results.find(result => result.videoId === videoId);
+        if (reportRow) Object.assign(reportRow, { status, detail });
+
+        return this.updateVideo(videoId, {
+            videoId: parsed.videoId,
+            type: parsed.type,
+            url: parsed.embedUrls[0],
+            embedUrls: parsed.embedUrls,
+            thumbnail: parsed.thumbnail,
+            healthStatus: status,
+            lastChecked: new Date().toISOString()
+        });
     }
 
-    loadDirectVideo(video, url) {
-        const videoContainer = this.videoPlayer.parentElement;
-        
-        // Remove existing video elements
-        const existingVideo = videoContainer.querySelector('video');
-        if (existingVideo) {
-            existingVideo.remove();
+    async addBookmark(videoId, time, text) {
+        const video = this.allVideos.find(v => v.id === videoId);
+        if (!video) return null;
+        const seconds = Math.max(0, Math.floor(time));
+        return this.updateVideo(videoId, { bookmarks: VideoBookmarks.add(video.bookmarks, seconds, text) }, {
+            successMessage: `Bookmark added at ${this.formatTime(seconds)}`
+        });
+    }
+
+    async removeBookmark(videoId, bookmarkId) {
+        const video = this.allVideos.find(v => v.id === videoId);
+        if (!video) return null;
+        return this.updateVideo(videoId, { bookmarks: VideoBookmarks.remove(video.bookmarks, bookmarkId) }, {
+            successMessage: 'Bookmark removed'
+        });
+    }
+
+    exportBookmarks(videoId) {
+        const video = this.allVideos.find(v => v.id === videoId);
+        if (!video || VideoBookmarks.normalize(video.bookmarks).length === 0) {
+            this.showNotification('This video has no bookmarks to export', 'warning');
+            return;
         }
-        
-        // Hide the iframe
-        this.videoPlayer.style.display = 'none';
-        
-        // Create video element
-        const videoElement = document.createElement('video');
-        videoElement.controls = true;
-        videoElement.autoplay = true;
-        videoElement.style.width = '100%';
-        videoElement.style.height = '100%';
-        videoElement.style.position = 'absolute';
-        videoElement.style.top = '0';
-        videoElement.style.left = '0';
-        
-        // Add event listeners for analytics
-        videoElement.addEventListener('play', () => {
-            this.videoManager.analytics.trackVideoEvent('play', video);
+
+        const content = VideoBookmarks.toMarkdown(video, seconds => this.formatTime(seconds));
+        const blob = new Blob([content], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${video.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'video'}-bookmarks.md`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    getExportScope(scope) {
+        const activePlaylist = this.getActivePlaylist();
+        if (scope === 'playlist' && activePlaylist) {
+            return { videos: this.getPlaylistVideos(activePlaylist), title: activePlaylist.name, slug: activePlaylist.name };
+        }
+        if (scope === 'library') {
+            return { videos: this.allVideos, title: 'OnlineHub Library', slug: 'library' };
+        }
+        return { videos: this.filteredVideos, title: 'OnlineHub Videos', slug: 'videos' };
+    }
+
+    exportVideoList(format = 'json', scope = 'filtered') {
+        const formatInfo = CONFIG.EXPORT.FORMATS[format];
+        if (!formatInfo) {
+            this.showNotification(`Unsupported export format: ${format}`, 'error');
+            return;
+        }
+
+        const { videos, title, slug } = this.getExportScope(scope);
+        if (videos.length === 0) {
+            this.showNotification('Nothing to export', 'warning');
+            return;
+        }
+
+        const { content, skipped } = LibraryExporter.export(videos, format, {
+            title,
+            getDurationSeconds: (video) => this.parseDuration(video.duration)
         });
-        
-        videoElement.addEventListener('ended', () => {
-            const duration = (Date.now() - this.playbackStartTime) / 1000;
-            this.videoManager.analytics.trackVideoEvent('complete', video, { duration });
+        const exported = videos.length - skipped;
+        if (exported === 0) {
+            this.showNotification(`None of these videos can be played from a ${formatInfo.label} playlist`, 'warning');
+            return;
+        }
+
+        const blob = new Blob([content], { type: formatInfo.mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${slug.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'videos'}-${new Date().toISOString().split('T')[0]}.${formatInfo.extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        this.showNotification(
+            `Exported ${exported} video${exported !== 1 ? 's' : ''} as ${formatInfo.label}` +
+            (skipped > 0 ? ` (${skipped} embed-only skipped)` : ''),
+            'success'
+        );
+    }
+}
+
+// ==================== EMBED PLAYER API ADAPTERS ====================
+class PlayerApiLoader {
+    static load(platform) {
+        if (!this.promises) this.promises = new Map();
+        if (this.promises.has(platform)) return this.promises.get(platform);
+
+        const loaders = {
+            youtube: () => this.loadYouTube(),
+            vimeo: () => this.loadVimeo(),
+            hls: () => this.loadLibrary(CONFIG.PLAYBACK.HLS_JS_URL, 'Hls'),
+            dash: () => this.loadLibrary(CONFIG.PLAYBACK.DASH_JS_URL, 'dashjs')
+        };
+        const promise = loaders[platform]();
+        // Let a failed load be retried on the next video
+        promise.catch(() => this.promises.delete(platform));
+        this.promises.set(platform, promise);
+        return promise;
+    }
+
+    static loadYouTube() {
+        if (window.YT && window.YT.Player) return Promise.resolve(window.YT);
+
+        return new Promise((resolve, reject) => {
+            const previousCallback = window.onYouTubeIframeAPIReady;
+            const timeout = setTimeout(() => reject(new Error('YouTube player API timed out')), CONFIG.PLAYBACK.API_LOAD_TIMEOUT);
+            window.onYouTubeIframeAPIReady = () => {
+                clearTimeout(timeout);
+                if (typeof previousCallback === 'function') previousCallback();
+                resolve(window.YT);
+            };
+            this.injectScript(CONFIG.PLAYBACK.YOUTUBE_API_URL).catch(error => {
+                clearTimeout(timeout);
+                reject(error);
+            });
         });
-        
-        videoElement.addEventListener('error', () => {
-            this.videoManager.analytics.trackVideoEvent('error', video, { error: 'direct_playback_failed' });
+    }
+
+    static async loadVimeo() {
+        if (window.Vimeo && window.Vimeo.Player) return window.Vimeo;
+        await this.injectScript(CONFIG.PLAYBACK.VIMEO_API_URL);
+        if (!window.Vimeo || !window.Vimeo.Player) {
+            throw new Error('Vimeo player SDK unavailable');
+        }
+        return window.Vimeo;
+    }
+
+    // Streaming engines are large, so they are only fetched once a stream is played
+    static async loadLibrary(src, globalName) {
+        if (window[globalName]) return window[globalName];
+        await this.injectScript(src);
+        if (!window[globalName]) {
+            throw new Error(`${globalName} unavailable`);
+        }
+        return window[globalName];
+    }
+
+    static injectScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+class YouTubePlayerAdapter {
+    constructor(host, videoId, handlers, { startSeconds = 0 } = {}) {
+        this.handlers = handlers;
+        this.pollTimer = null;
+        this.lastTime = startSeconds;
+        this.lastPollAt = null;
+
+        this.player = new YT.Player(host, {
+            videoId,
+            width: '100%',
+            height: '100%',
+            playerVars: {
+                autoplay: 1,
+                modestbranding: 1,
+                rel: 0,
+                playsinline: 1,
+                start: Math.floor(startSeconds),
+                origin: window.location.origin
+            },
+            events: {
+                onReady: () => this.handlers.onReady?.(this.getDuration()),
+                onStateChange: (event) => this.handleStateChange(event.data),
+                onError: (event) => this.handlers.onError?.(event.data, YouTubePlayerAdapter.describeError(event.data))
+            }
         });
+    }
+
+    static describeError(code) {
+        switch (code) {
+            case 2: return { message: 'Invalid video id', recoverable: false };
+            case 5: return { message: 'HTML5 player error', recoverable: true };
+            case 100: return { message: 'Video removed or private', recoverable: false };
+            case 101:
+            case 150: return { message: 'Embedding disabled by the owner', recoverable: true };
+            default: return { message: `YouTube error ${code}`, recoverable: true };
+        }
+    }
+
+    handleStateChange(state) {
+        switch (state) {
+            case YT.PlayerState.PLAYING:
+                this.handlers.onPlay?.(this.getDuration());
+                this.startPolling();
+                break;
+            case YT.PlayerState.PAUSED:
+                this.poll();
+                this.stopPolling();
+                this.handlers.onPause?.(this.getCurrentTime(), this.getDuration());
+                break;
+            case YT.PlayerState.ENDED:
+                this.stopPolling();
+                this.handlers.onEnded?.(this.getDuration());
+                break;
+        }
+    }
+
+    // The IFrame API has no time or seek events, so poll while playing
+    startPolling() {
+        this.stopPolling();
+        this.lastPollAt = Date.now();
+        this.pollTimer = setInterval(() => this.poll(), 1000);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    poll() {
+        const currentTime = this.getCurrentTime();
+        const elapsed = this.lastPollAt ? (Date.now() - this.lastPollAt) / 1000 : 0;
+        if (Math.abs(currentTime - this.lastTime - elapsed) > 2) {
+            this.handlers.onSeek?.(currentTime);
+        }
+        this.lastTime = currentTime;
+        this.lastPollAt = Date.now();
+        this.handlers.onTimeUpdate?.(currentTime, this.getDuration());
+    }
+
+    getCurrentTime() {
+        return this.player.getCurrentTime ? this.player.getCurrentTime() : 0;
+    }
+
+    getDuration() {
+        return this.player.getDuration ? this.player.getDuration() : 0;
+    }
+
+    seekTo(seconds) {
+        if (this.player.seekTo) this.player.seekTo(seconds, true);
+    }
+
+    destroy() {
+        this.stopPolling();
+        if (this.player && this.player.destroy) this.player.destroy();
+    }
+}
+
+class VimeoPlayerAdapter {
+    constructor(host, videoId, handlers, { startSeconds = 0 } = {}) {
+        this.handlers = handlers;
+        this.duration = 0;
+        this.currentTime = 0;
+
+        this.player = new Vimeo.Player(host, {
+            id: Number(videoId),
+            autoplay: true,
+            dnt: true,
+            title: false,
+            byline: false,
+            portrait: false
+        });
+
+        this.player.ready()
+            .then(async () => {
+                this.duration = await this.player.getDuration();
+                if (startSeconds > 0) await this.player.setCurrentTime(startSeconds);
+                this.handlers.onReady?.(this.duration);
+            })
+            .catch(error => this.handlers.onError?.(error.name, { message: error.message, recoverable: true }));
+
+        this.player.on('play', () => this.handlers.onPlay?.(this.duration));
+        this.player.on('pause', (data) => this.handlers.onPause?.(data.seconds, data.duration));
+        this.player.on('ended', (data) => this.handlers.onEnded?.(data.duration));
+        this.player.on('seeked', (data) => this.handlers.onSeek?.(data.seconds));
+        this.player.on('timeupdate', (data) => {
+            this.currentTime = data.seconds;
+            this.duration = data.duration;
+            this.handlers.onTimeUpdate?.(data.seconds, data.duration);
+        });
+        this.player.on('error', (error) => {
+            this.handlers.onError?.(error.name, { message: error.message, recoverable: error.name !== 'PrivacyError' });
+        });
+    }
+
+    getCurrentTime() {
+        return this.currentTime;
+    }
+
+    getDuration() {
+        return this.duration;
+    }
+
+    seekTo(seconds) {
+        this.player.setCurrentTime(seconds).catch(() => {});
+    }
+
+    destroy() {
+        this.player.destroy().catch(() => {});
+    }
+}
+
+// Plays HLS/DASH manifests through Media Source Extensions (hls.js / dash.js) and falls
+// back to the browser's own HLS support where MSE or the library is unavailable
+class AdaptiveStreamAdapter {
+    constructor(videoElement, url, format, handlers) {
+        this.video = videoElement;
+        this.url = url;
+        this.format = format;
+        this.handlers = handlers;
+        this.engine = null; // 'hls' | 'dash' | 'native'
+        this.hls = null;
+        this.dash = null;
+        this.destroyed = false;
+        this.recoveredErrors = new Set();
+    }
+
+    static supportsMse() {
+        return Boolean(window.MediaSource || window.ManagedMediaSource);
+    }
+
+    async attach() {
+        if (AdaptiveStreamAdapter.supportsMse()) {
+            try {
+                await PlayerApiLoader.load(this.format);
+                if (this.destroyed) return;
+                if (this.format === 'dash') return this.attachDash();
+                if (window.Hls.isSupported()) return this.attachHls();
+            } catch (error) {
+                console.warn(`${this.format.toUpperCase()} engine unavailable:`, error);
+            }
+        }
+
+        if (this.format === 'hls' && this.video.canPlayType('application/vnd.apple.mpegurl')) {
+            return this.attachNative();
+        }
+        throw new Error(`This browser cannot play ${this.format === 'hls' ? 'HLS' : 'DASH'} streams`);
+    }
+
+    attachHls() {
+        const { Events, ErrorTypes } = window.Hls;
+        this.engine = 'hls';
+        this.hls = new window.Hls();
+
+        this.hls.on(Events.MANIFEST_PARSED, (event, data) => {
+            this.handlers.onLevels(data.levels.map((level, index) => this.describeLevel(index, level.height, level.bitrate)));
+        });
+        this.hls.on(Events.LEVEL_LOADED, (event, data) => this.handlers.onLive(Boolean(data.details.live)));
+        this.hls.on(Events.LEVEL_SWITCHED, (event, data) => this.handlers.onLevelSwitched(data.level));
+        this.hls.on(Events.ERROR, (event, data) => {
+            if (!data.fatal) return;
+            // Each kind of fatal error gets one in-place recovery attempt before giving up
+            if (!this.recoveredErrors.has(data.type)) {
+                this.recoveredErrors.add(data.type);
+                if (data.type === ErrorTypes.NETWORK_ERROR) return this.hls.startLoad();
+                if (data.type === ErrorTypes.MEDIA_ERROR) return this.hls.recoverMediaError();
+            }
+            this.handlers.onError(`Stream failed: ${data.details}`);
+        });
+
+        this.hls.loadSource(this.url);
+        this.hls.attachMedia(this.video);
+    }
+
+    attachDash() {
+        const { events } = window.dashjs.MediaPlayer;
+        this.engine = 'dash';
+        this.dash = window.dashjs.MediaPlayer().create();
+
+        this.dash.on(events.STREAM_INITIALIZED, () => {
+            this.handlers.onLive(this.dash.isDynamic());
+            this.handlers.onLevels(this.dash.getBitrateInfoListFor('video')
+                .map(info => this.describeLevel(info.qualityIndex, info.height, info.bitrate)));
+        });
+        this.dash.on(events.QUALITY_CHANGE_RENDERED, (event) => {
+            if (event.mediaType === 'video') this.handlers.onLevelSwitched(event.newQuality);
+        });
+        this.dash.on(events.ERROR, (event) => {
+            this.handlers.onError(`Stream failed: ${(event.error && event.error.message) || 'unknown error'}`);
+        });
+
+        this.dash.initialize(this.video, this.url, true);
+    }
+
+    // Safari switches renditions itself, so native playback offers no quality menu
+    attachNative() {
+        this.engine = 'native';
+        this.video.addEventListener('loadedmetadata', () => {
+            this.handlers.onLive(this.video.duration === Infinity);
+        }, { once: true });
+        this.video.src = this.url;
+        this.handlers.onLevels([]);
+    }
+
+    describeLevel(index, height, bitrate) {
+        return {
+            index,
+            bitrate: bitrate || 0,
+            label: height ? `${height}p` : `${Math.round((bitrate || 0) / 1000)} kbps`
+        };
+    }
+
+    // -1 hands quality back to the engine's bandwidth estimation
+    setLevel(index) {
+        if (this.hls) {
+            this.hls.currentLevel = index;
+        } else if (this.dash) {
+            this.dash.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: index === -1 } } } });
+            if (index !== -1) this.dash.setQualityFor('video', index);
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+        if (this.hls) this.hls.destroy();
+        if (this.dash) this.dash.reset();
+        this.hls = null;
+        this.dash = null;
+    }
+}
+
+// ==================== ENHANCED VIDEO PLAYER CONTROLLER ====================
+class EnhancedVideoPlayer {
+    constructor(videoManager) {
+        this.videoManager = videoManager;
+        this.videoContainer = document.querySelector('.video-container');
+        this.videoPlayer = document.getElementById('videoPlayer');
+        this.currentVideoTitle = document.getElementById('currentVideoTitle');
+        this.currentVideoDescription = document.getElementById('currentVideoDescription');
+        this.currentPlatformBadge = document.getElementById('currentPlatformBadge');
+        this.fallbackMessage = document.getElementById('fallbackMessage');
+        this.currentEmbedIndex = 0;
+        this.currentVideoData = null;
+        this.playbackStartTime = null;
+        this.apiPlayer = null;
+        this.streamPlayer = null;
+        this.streamLevels = [];
+        this.subtitleUrls = [];
+        this.transcriptCues = [];
+        this.activeCueIndex = -1;
+        this.pendingStartAt = null;
+        this.pendingBookmarkTime = null;
+        this.bookmarks = [];
+        this.loadingTimeout = null;
+        this.upNextTimer = null;
+        this.pendingNextVideo = null;
+        this.setupFallbackOptions();
+        this.setupUpNextControls();
+        this.setupStreamControls();
+        this.setupCaptionControls();
+        this.setupTranscriptPanel();
+        this.setupBookmarkPanel();
+        this.setupShareLink();
+    }
+
+    setupShareLink() {
+        const copyLinkBtn = document.getElementById('copyLinkBtn');
+        if (copyLinkBtn) copyLinkBtn.addEventListener('click', () => this.copyLinkAtCurrentTime());
+    }
+
+    async copyLinkAtCurrentTime() {
+        if (!this.currentVideoData || !this.videoManager.router) return;
+        const time = this.getCurrentTime();
+        const url = this.videoManager.router.getShareUrl(this.currentVideoData, time);
+        const suffix = time > 0 ? ` at ${this.videoManager.formatTime(Math.floor(time))}` : '';
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.videoManager.showNotification(`Link copied${suffix}`, 'success');
+        } catch (error) {
+            // Clipboard access needs a secure context and focus, so let the user copy it by hand
+            console.warn('Clipboard write failed:', error);
+            window.prompt('Copy this link:', url);
+        }
+    }
+
+    setupBookmarkPanel() {
+        const input = document.getElementById('bookmarkText');
+        const list = document.getElementById('bookmarkList');
+        const markers = document.getElementById('bookmarkMarkers');
+        if (!input || !list) return;
+
+        document.getElementById('addBookmarkBtn').addEventListener('click', () => this.saveBookmark());
+        document.getElementById('exportBookmarksBtn').addEventListener('click', () => {
+            if (this.currentVideoData) this.videoManager.exportBookmarks(this.currentVideoData.id);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveBookmark();
+            } else if (e.key === 'Escape') {
+                this.setBookmarkDraftTime(null);
+                input.value = '';
+                input.blur();
+            }
+        });
+
+        list.addEventListener('click', async (e) => {
+            const removeBtn = e.target.closest('[data-remove-bookmark]');
+            if (removeBtn && this.currentVideoData) {
+                const updated = await this.videoManager.removeBookmark(this.currentVideoData.id, removeBtn.dataset.removeBookmark);
+                if (updated) this.renderBookmarks(updated);
+                return;
+            }
+            const item = e.target.closest('[data-seek]');
+            if (item) this.seekTo(Number(item.dataset.seek));
+        });
+        markers.addEventListener('click', (e) => {
+            const marker = e.target.closest('[data-seek]');
+            if (marker) this.seekTo(Number(marker.dataset.seek));
+        });
+    }
+
+    // Time of the playing video, or null for plain embeds that don't report it
+    getCurrentTime() {
+        const videoElement = this.getDirectVideoElement();
+        if (videoElement) return videoElement.currentTime;
+        if (this.apiPlayer) return this.apiPlayer.getCurrentTime();
+        return null;
+    }
+
+    // Pins the draft to the moment the shortcut was pressed, so typing the note doesn't shift it
+    startBookmark() {
+        if (!this.currentVideoData) return;
+        const time = this.getCurrentTime();
+        if (time === null) {
+            this.videoManager.showNotification('Bookmarks need a player that reports its playback time', 'warning');
+            return;
+        }
+        this.setBookmarkDraftTime(time);
+        document.getElementById('bookmarkText').focus();
+    }
+
+    setBookmarkDraftTime(time) {
+        this.pendingBookmarkTime = time;
+        const input = document.getElementById('bookmarkText');
+        input.placeholder = time === null
+            ? 'Note for the current time (press B while watching)'
+            : `Note at ${this.videoManager.formatTime(time)}`;
+    }
+
+    async saveBookmark() {
+        if (!this.currentVideoData) return;
+        const time = this.pendingBookmarkTime !== null ? this.pendingBookmarkTime : this.getCurrentTime();
+        if (time === null) {
+            this.videoManager.showNotification('Bookmarks need a player that reports its playback time', 'warning');
+            return;
+        }
+
+        const input = document.getElementById('bookmarkText');
+        const updated = await this.videoManager.addBookmark(this.currentVideoData.id, time, input.value);
+        if (!updated) return;
+        input.value = '';
+        input.blur();
+        this.setBookmarkDraftTime(null);
+        this.renderBookmarks(updated);
+    }
+
+    renderBookmarks(video) {
+        const panel = document.getElementById('bookmarkPanel');
+        const list = document.getElementById('bookmarkList');
+        if (!panel || !list) return;
+
+        this.bookmarks = VideoBookmarks.normalize(video && video.bookmarks);
+        panel.hidden = !video;
+        document.getElementById('exportBookmarksBtn').disabled = this.bookmarks.length === 0;
+        list.innerHTML = this.bookmarks.length === 0
+            ? '<li class="bookmark-empty">No bookmarks yet</li>'
+            : this.bookmarks.map(bookmark => `
+                <li class="bookmark-item" data-seek="${bookmark.time}" title="Jump to ${this.videoManager.formatTime(bookmark.time)}">
+                    <span class="bookmark-time">${this.videoManager.formatTime(bookmark.time)}</span>
+                    <span class="bookmark-text">${this.videoManager.escapeHtml(bookmark.text) || '&nbsp;'}</span>
+                    <button type="button" class="bookmark-remove" data-remove-bookmark="${this.videoManager.escapeAttribute(bookmark.id)}" title="Remove bookmark">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </li>
+            `).join('');
+        this.renderBookmarkMarkers();
+    }
+
+    // Native controls can't be decorated, so markers sit on a strip along the bottom of the player
+    renderBookmarkMarkers() {
+        const markers = document.getElementById('bookmarkMarkers');
+        if (!markers) return;
+        const videoElement = this.getDirectVideoElement();
+        const duration = videoElement ? videoElement.duration : NaN;
+        if (!Number.isFinite(duration) || duration <= 0 || !this.bookmarks || this.bookmarks.length === 0) {
+            markers.innerHTML = '';
+            return;
+        }
+
+        markers.innerHTML = this.bookmarks
+            .filter(bookmark => bookmark.time <= duration)
+            .map(bookmark => {
+                const label = `${this.videoManager.formatTime(bookmark.time)}${bookmark.text ? ` \u2014 ${bookmark.text}` : ''}`;
+                return `<button type="button" class="bookmark-marker" style="left: ${(bookmark.time / duration) * 100}%" data-seek="${bookmark.time}" title="${this.videoManager.escapeAttribute(label)}"></button>`;
+            })
+            .join('');
+    }
+
+    setupTranscriptPanel() {
+        const cueList = document.getElementById('transcriptCues');
+        if (!cueList) return;
+        cueList.addEventListener('click', (e) => {
+            const cue = e.target.closest('[data-seek]');
+            if (cue) this.seekTo(Number(cue.dataset.seek));
+        });
+    }
+
+    renderTranscript(video) {
+        const panel = document.getElementById('transcriptPanel');
+        const cueList = document.getElementById('transcriptCues');
+        if (!panel || !cueList) return;
+
+        this.transcriptCues = TranscriptParser.getCues(video);
+        this.activeCueIndex = -1;
+        panel.hidden = this.transcriptCues.length === 0;
+        cueList.innerHTML = this.transcriptCues.map((cue, index) => `
+            <button type="button" class="transcript-cue" data-index="${index}" data-seek="${cue.start}">
+                <span class="transcript-cue-time">${this.videoManager.formatTime(cue.start)}</span>
+                <span class="transcript-cue-text">${this.videoManager.escapeHtml(cue.text)}</span>
+            </button>
+        `).join('');
+    }
+
+    // Scrolls the list itself rather than scrollIntoView, which would drag the page along
+    updateTranscriptHighlight(time) {
+        if (this.transcriptCues.length === 0) return;
+        const index = TranscriptParser.findCueIndex(this.transcriptCues, time);
+        if (index === this.activeCueIndex) return;
+
+        const cueList = document.getElementById('transcriptCues');
+        cueList.querySelector('.transcript-cue.active')?.classList.remove('active');
+        this.activeCueIndex = index;
+        if (index === -1) return;
+
+        const active = cueList.querySelector(`.transcript-cue[data-index="${index}"]`);
+        if (!active) return;
+        active.classList.add('active');
+        if (active.offsetTop < cueList.scrollTop || active.offsetTop + active.offsetHeight > cueList.scrollTop + cueList.clientHeight) {
+            cueList.scrollTop = active.offsetTop - cueList.clientHeight / 3;
+        }
+    }
+
+    seekTo(seconds) {
+        if (!Number.isFinite(seconds)) return;
+        const videoElement = this.getDirectVideoElement();
+        if (videoElement) {
+            videoElement.currentTime = seconds;
+            videoElement.play().catch(() => {});
+        } else if (this.apiPlayer) {
+            this.apiPlayer.seekTo(seconds);
+        } else {
+            this.videoManager.showNotification('This player does not support jumping to a time', 'warning');
+            return;
+        }
+        this.updateTranscriptHighlight(seconds);
+    }
+
+    // An explicit start time (e.g. from a transcript hit) wins over the saved resume point
+    takeStartTime(video) {
+        const startAt = this.pendingStartAt;
+        this.pendingStartAt = null;
+        if (Number.isFinite(startAt)) return { time: startAt, explicit: true };
+        return { time: this.videoManager.playbackProgress.getResumeTime(video.id), explicit: false };
+    }
+
+    setupCaptionControls() {
+        const captionSelect = document.getElementById('captionSelect');
+        const sizeSelect = document.getElementById('captionSize');
+        const backgroundSelect = document.getElementById('captionBackground');
+
+        if (captionSelect) {
+            captionSelect.addEventListener('change', () => this.selectCaptionTrack(Number(captionSelect.value), true));
+        }
+        [sizeSelect, backgroundSelect].filter(Boolean).forEach(select => {
+            select.addEventListener('change', () => {
+                this.videoManager.captionPreferences = {
+                    ...this.videoManager.captionPreferences,
+                    size: sizeSelect.value,
+                    background: backgroundSelect.value
+                };
+                this.videoManager.persistState();
+                this.applyCaptionStyle();
+            });
+        });
+
+        // Local caption files can be dropped straight onto a playing direct video
+        this.videoContainer.addEventListener('dragover', (e) => {
+            if (!this.getDirectVideoElement() || !e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.videoContainer.classList.add('caption-drop');
+        });
+        this.videoContainer.addEventListener('dragleave', (e) => {
+            if (!this.videoContainer.contains(e.relatedTarget)) this.videoContainer.classList.remove('caption-drop');
+        });
+        this.videoContainer.addEventListener('drop', (e) => {
+            if (!this.getDirectVideoElement() || !e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            this.videoContainer.classList.remove('caption-drop');
+
+            const files = Array.from(e.dataTransfer.files).filter(file => SubtitleTracks.isSubtitleFile(file.name));
+            if (files.length === 0) {
+                this.videoManager.showNotification('Drop a .vtt or .srt file to add captions', 'warning');
+                return;
+            }
+            files.forEach(file => this.addLocalSubtitle(file));
+        });
+
+        this.applyCaptionStyle();
+    }
+
+    getDirectVideoElement() {
+        return this.videoContainer.querySelector('video');
+    }
+
+    applyCaptionStyle() {
+        const { size, background } = this.videoManager.captionPreferences;
+        this.videoContainer.style.setProperty('--caption-size', CONFIG.CAPTIONS.SIZES[size] || CONFIG.CAPTIONS.SIZES.medium);
+        this.videoContainer.style.setProperty('--caption-background', CONFIG.CAPTIONS.BACKGROUNDS[background] || CONFIG.CAPTIONS.BACKGROUNDS.semi);
+
+        const sizeSelect = document.getElementById('captionSize');
+        const backgroundSelect = document.getElementById('captionBackground');
+        if (sizeSelect) sizeSelect.value = size;
+        if (backgroundSelect) backgroundSelect.value = background;
+    }
+
+    showCaptionControls(visible) {
+        const controls = document.getElementById('captionControls');
+        if (controls) controls.hidden = !visible;
+    }
+
+    async attachSubtitles(video, videoElement) {
+        const tracks = SubtitleTracks.normalize(video.subtitles);
+        this.renderCaptionOptions(videoElement);
+        if (tracks.length === 0) return;
+
+        const loaded = await Promise.all(tracks.map(async track => {
+            try {
+                return { ...track, src: await SubtitleTracks.load(track.url) };
+            } catch (error) {
+                console.warn(`Subtitles unavailable (${track.url}):`, error);
+                return null;
+            }
+        }));
+
+        // The user may have moved on while the files were loading
+        if (!videoElement.isConnected) {
+            loaded.filter(Boolean).forEach(track => URL.revokeObjectURL(track.src));
+            return;
+        }
+
+        loaded.filter(Boolean).forEach(track => this.addTextTrack(videoElement, track));
+        const failed = loaded.filter(track => !track).length;
+        if (failed > 0) {
+            this.videoManager.showNotification(`${failed} subtitle track${failed !== 1 ? 's' : ''} could not be loaded`, 'warning');
+        }
+
+        // Prefer the language picked last time, matching "en" against "en-US" as well
+        const preferred = this.videoManager.captionPreferences.language;
+        const index = preferred
+            ? Array.from(videoElement.textTracks).findIndex(track =>
+                track.language === preferred || track.language.split('-')[0] === preferred.split('-')[0])
+            : -1;
+        this.renderCaptionOptions(videoElement);
+        this.selectCaptionTrack(index, false);
+    }
+
+    async addLocalSubtitle(file) {
+        const videoElement = this.getDirectVideoElement();
+        if (!videoElement) return;
+
+        try {
+            const src = SubtitleTracks.createObjectUrl(await file.text());
+            const lang = SubtitleTracks.guessLanguage(file.name);
+            const index = this.addTextTrack(videoElement, { lang, label: SubtitleTracks.getLabel(lang) || file.name, src });
+            this.renderCaptionOptions(videoElement);
+            this.selectCaptionTrack(index, false);
+            this.videoManager.showNotification(`Captions added from ${file.name} for this session`, 'success');
+        } catch (error) {
+            console.error('Failed to read subtitle file:', error);
+            this.videoManager.showNotification(`Could not read ${file.name}`, 'error');
+        }
+    }
+
+    // Returns the new track's index in videoElement.textTracks
+    addTextTrack(videoElement, { lang, label, src }) {
+        const element = document.createElement('track');
+        element.kind = 'subtitles';
+        element.label = label;
+        if (lang) element.srclang = lang;
+        element.src = src;
+        videoElement.appendChild(element);
+        element.track.mode = 'disabled';
+        this.subtitleUrls.push(src);
+        return Array.from(videoElement.textTracks).indexOf(element.track);
+    }
+
+    renderCaptionOptions(videoElement) {
+        const captionSelect = document.getElementById('captionSelect');
+        if (!captionSelect) return;
+
+        const tracks = Array.from(videoElement.textTracks);
+        captionSelect.innerHTML = [
+            '<option value="-1">Captions off</option>',
+            ...tracks.map((track, index) =>
+                `<option value="${index}">${this.videoManager.escapeHtml(track.label || track.language || `Track ${index + 1}`)}</option>`)
+        ].join('');
+        captionSelect.value = String(tracks.findIndex(track => track.mode === 'showing'));
+        captionSelect.disabled = tracks.length === 0;
+    }
+
+    // index -1 turns captions off; remember=true stores the choice for later videos
+    selectCaptionTrack(index, remember) {
+        const videoElement = this.getDirectVideoElement();
+        if (!videoElement) return;
+
+        const tracks = Array.from(videoElement.textTracks);
+        tracks.forEach((track, i) => {
+            track.mode = i === index ? 'showing' : 'disabled';
+        });
+        const captionSelect = document.getElementById('captionSelect');
+        if (captionSelect) captionSelect.value = String(tracks[index] ? index : -1);
+
+        if (remember) {
+            const track = tracks[index];
+            this.videoManager.captionPreferences = {
+                ...this.videoManager.captionPreferences,
+                language: track ? track.language || null : null
+            };
+            this.videoManager.persistState();
+        }
+    }
+
+    setupStreamControls() {
+        const qualitySelect = document.getElementById('qualitySelect');
+        if (!qualitySelect) return;
+        qualitySelect.addEventListener('change', () => {
+            if (this.streamPlayer) this.streamPlayer.setLevel(Number(qualitySelect.value));
+        });
+    }
+
+    renderQualityOptions(levels) {
+        const controls = document.getElementById('streamControls');
+        const qualitySelect = document.getElementById('qualitySelect');
+        if (!controls || !qualitySelect) return;
+
+        this.streamLevels = levels;
+        controls.classList.add('active');
+        qualitySelect.hidden = levels.length < 2;
+        qualitySelect.innerHTML = [
+            '<option value="-1">Auto</option>',
+            ...[...levels]
+                .sort((a, b) => b.bitrate - a.bitrate)
+                .map(level => `<option value="${level.index}">${level.label}</option>`)
+        ].join('');
+        qualitySelect.value = '-1';
+    }
+
+    // While on Auto, the option label shows which rendition is actually playing
+    showActiveQuality(index) {
+        const autoOption = document.querySelector('#qualitySelect option[value="-1"]');
+        if (!autoOption) return;
+        const level = this.streamLevels.find(l => l.index === index);
+        autoOption.textContent = level ? `Auto (${level.label})` : 'Auto';
+    }
+
+    setLiveIndicator(isLive) {
+        const controls = document.getElementById('streamControls');
+        const indicator = document.getElementById('liveIndicator');
+        if (controls) controls.classList.add('active');
+        if (indicator) indicator.hidden = !isLive;
+    }
+
+    resetStreamControls() {
+        const controls = document.getElementById('streamControls');
+        const indicator = document.getElementById('liveIndicator');
+        if (controls) controls.classList.remove('active');
+        if (indicator) indicator.hidden = true;
+        this.streamLevels = [];
+    }
+
+    setupUpNextControls() {
+        const playNow = document.getElementById('playNextNow');
+        const cancel = document.getElementById('cancelUpNext');
+
+        if (playNow) {
+            playNow.addEventListener('click', () => {
+                const next = this.pendingNextVideo;
+                this.cancelUpNext();
+                if (next) this.loadVideo(next);
+            });
+        }
+        if (cancel) {
+            cancel.addEventListener('click', () => {
+                this.cancelUpNext();
+                this.videoManager.showNotification('Autoplay cancelled', 'info');
+            });
+        }
+    }
+
+    startUpNextCountdown(next) {
+        const overlay = document.getElementById('upNextOverlay');
+        const countdown = document.getElementById('upNextCountdown');
+        const title = document.getElementById('upNextTitle');
+
+        this.cancelUpNext();
+        this.pendingNextVideo = next;
+
+        if (!overlay) {
+            this.loadVideo(next);
+            return;
+        }
+
+        let remaining = CONFIG.PLAYBACK.UP_NEXT_DELAY;
+        countdown.textContent = remaining;
+        title.textContent = next.title;
+        overlay.classList.add('active');
+
+        this.upNextTimer = setInterval(() => {
+            remaining--;
+            countdown.textContent = remaining;
+            if (remaining <= 0) {
+                this.cancelUpNext();
+                this.loadVideo(next);
+            }
+        }, 1000);
+    }
+
+    cancelUpNext() {
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = null;
+        this.pendingNextVideo = null;
+        const overlay = document.getElementById('upNextOverlay');
+        if (overlay) overlay.classList.remove('active');
+    }
+
+    teardownPlayers() {
+        clearTimeout(this.loadingTimeout);
+        this.cancelUpNext();
+
+        if (this.apiPlayer) {
+            this.apiPlayer.destroy();
+            this.apiPlayer = null;
+        }
+        if (this.streamPlayer) {
+            this.streamPlayer.destroy();
+            this.streamPlayer = null;
+        }
+        this.resetStreamControls();
+        this.showCaptionControls(false);
+        this.subtitleUrls.forEach(url => URL.revokeObjectURL(url));
+        this.subtitleUrls = [];
+
+        this.videoContainer.querySelectorAll('video, .api-player-host').forEach(element => element.remove());
+        const markers = document.getElementById('bookmarkMarkers');
+        if (markers) markers.innerHTML = '';
+        this.videoPlayer.onload = null;
+        this.videoPlayer.onerror = null;
+    }
+
+    async loadVideo(video, { startAt = null } = {}) {
+        if (!video) return;
+
+        // Jumping within the video that is already playing shouldn't reload it
+        if (startAt !== null && this.currentVideoData && this.currentVideoData.id === video.id
+            && (this.getDirectVideoElement() || this.apiPlayer)) {
+            this.seekTo(startAt);
+            return;
+        }
+        this.pendingStartAt = startAt;
+        this.videoManager.router?.syncVideo(video, startAt);
+
+        // Track video load event
+        this.videoManager.analytics.trackVideoEvent('load', video);
+
+        this.videoManager.loadVideoById(video.id);
+        this.teardownPlayers();
+        this.fallbackMessage.style.display = 'none';
+        this.currentEmbedIndex = 0;
+        this.currentVideoData = video;
+        this.playbackStartTime = Date.now();
+        this.renderTranscript(video);
+        this.setBookmarkDraftTime(null);
+        this.renderBookmarks(video);
+        document.getElementById('copyLinkBtn').disabled = false;
+
+        // Show loading state
+        this.currentVideoTitle.textContent = 'Loading...';
+        this.currentVideoDescription.textContent = 'Fetching video information...';
+
+        let embedUrls = video.embedUrls || [video.url || ""];
+        let badgeClass = "";
+        let badgeText = "";
+
+        // Determine platform and set appropriate badge
+        const platformConfig = {
+            "youtube": { class: "badge-youtube", text: "YouTube" },
+            "youtube_playlist": { class: "badge-youtube", text: "YouTube Playlist" },
+            "drive": { class: "badge-drive", text: "Google Drive" },
+            "vimeo": { class: "badge-vimeo", text: "Vimeo" },
+            "dailymotion": { class: "badge-dailymotion", text: "Dailymotion" },
+            "facebook": { class: "badge-facebook", text: "Facebook" },
+            "instagram": { class: "badge-instagram", text: "Instagram" },
+            "tiktok": { class: "badge-tiktok", text: "TikTok" },
+            "twitter": { class: "badge-twitter", text: "Twitter/X" },
+            "twitch": { class: "badge-twitch", text: "Twitch" },
+            "streamable": { class: "badge-streamable", text: "Streamable" },
+            "dropbox": { class: "badge-dropbox", text: "Dropbox" },
+            "photos": { class: "badge-photos", text: "Google Photos" },
+            "direct": { class: "badge-direct", text: "Direct Video" }
+        };
+
+        const config = platformConfig[video.type] || { class: "badge-other", text: video.type.charAt(0).toUpperCase() + video.type.slice(1) };
+        badgeClass = config.class;
+        badgeText = config.text;
+
+        if (video.type === 'direct') {
+            this.loadDirectVideo(video, embedUrls[0]);
+            return;
+        }
+
+        // Check video availability before loading
+        const isAvailable = await this.videoManager.availabilityChecker.checkVideoAvailability(video);
+        if (!isAvailable) {
+            this.showFallbackMessage(video);
+            this.videoManager.showNotification('Video may not be available', 'warning');
+            return;
+        }
+
+        // Update UI with video information
+        this.currentVideoTitle.textContent = video.title;
+        this.currentVideoDescription.textContent = video.description;
+        this.currentPlatformBadge.className = `platform-badge ${badgeClass}`;
+        this.currentPlatformBadge.textContent = badgeText;
+        this.setupFallbackOptions(video);
+
+        // Prefer the platform player APIs for real state events
+        if ((video.type === 'youtube' || video.type === 'vimeo') && await this.loadApiPlayer(video, embedUrls, badgeText)) {
+            return;
+        }
+
+        // Set up loading timeout and error handling
+        this.loadingTimeout = setTimeout(() => {
+            this.showFallbackMessage(video);
+        }, 10000);
+
+        const onLoad = () => {
+            clearTimeout(this.loadingTimeout);
+            this.videoPlayer.style.display = 'block';
+            this.videoManager.showNotification(`Loaded ${badgeText} video`, 'success');
+            this.videoManager.analytics.trackVideoEvent('play', video);
+        };
+
+        const onError = () => {
+            clearTimeout(this.loadingTimeout);
+            this.videoManager.analytics.trackVideoEvent('error', video, { error: 'embed_failed' });
+            this.handleEmbedError(video, embedUrls);
+        };
+
+        this.videoPlayer.onload = onLoad;
+        this.videoPlayer.onerror = onError;
+
+        // Load the first embed URL
+        this.videoPlayer.src = embedUrls[0];
+        this.videoPlayer.style.display = 'block';
+    }
+
+    async loadApiPlayer(video, embedUrls, badgeText) {
+        try {
+            await PlayerApiLoader.load(video.type);
+        } catch (error) {
+            console.warn(`${badgeText} player API unavailable, falling back to plain embed:`, error);
+            return false;
+        }
+
+        // The user may have picked another video while the API was loading
+        if (this.currentVideoData !== video) return true;
+
+        this.videoPlayer.src = '';
+        this.videoPlayer.style.display = 'none';
+
+        const host = document.createElement('div');
+        host.className = 'api-player-host';
+        this.videoContainer.appendChild(host);
+
+        const progress = this.videoManager.playbackProgress;
+        const saveProgress = PerformanceUtils.throttle((currentTime, duration) => {
+            progress.update(video.id, currentTime, duration);
+        }, CONFIG.PLAYBACK.PROGRESS_SAVE_INTERVAL);
+
+        this.loadingTimeout = setTimeout(() => this.showFallbackMessage(video), 10000);
+
+        const handlers = {
+            onReady: (duration) => {
+                clearTimeout(this.loadingTimeout);
+                this.videoManager.showNotification(`Loaded ${badgeText} video`, 'success');
+                this.videoManager.saveDetectedDuration(video.id, duration);
+            },
+            onPlay: (duration) => {
+                this.videoManager.analytics.trackVideoEvent('play', video, { duration });
+            },
+            onPause: (currentTime, duration) => progress.update(video.id, currentTime, duration),
+            onTimeUpdate: (currentTime, duration) => {
+                this.updateTranscriptHighlight(currentTime);
+                saveProgress(currentTime, duration);
+            },
+            onSeek: () => this.videoManager.analytics.trackVideoEvent('seek', video),
+            onEnded: (duration) => {
+                this.videoManager.analytics.trackVideoEvent('complete', video, { duration });
+                progress.clear(video.id);
+                this.handlePlaybackEnded(video);
+            },
+            onError: (code, details) => {
+                clearTimeout(this.loadingTimeout);
+                this.videoManager.analytics.trackVideoEvent('error', video, { error: code });
+                this.videoManager.showNotification(details.message, 'warning');
+                if (details.recoverable) {
+                    this.teardownPlayers();
+                    this.videoPlayer.style.display = 'block';
+                    this.handleEmbedError(video, embedUrls);
+                } else {
+                    this.showFallbackMessage(video);
+                }
+            }
+        };
+
+        const AdapterClass = video.type === 'youtube' ? YouTubePlayerAdapter : VimeoPlayerAdapter;
+        this.apiPlayer = new AdapterClass(host, video.videoId, handlers, {
+            startSeconds: this.takeStartTime(video).time
+        });
+        return true;
+    }
+
+    handlePlaybackEnded(video) {
+        if (this.currentVideoData !== video) return;
+
+        const mode = this.videoManager.queueMode;
+        const next = this.videoManager.getNextVideoForMode(mode);
+        if (!next) return;
+
+        if (mode === 'repeat_one') {
+            this.loadVideo(next);
+            return;
+        }
+        this.startUpNextCountdown(next);
+    }
+
+    loadDirectVideo(video, url) {
+        const videoContainer = this.videoPlayer.parentElement;
+        
+        // Remove existing video elements
+        const existingVideo = videoContainer.querySelector('video');
+        if (existingVideo) {
+            existingVideo.remove();
+        }
+        
+        // Hide and stop the iframe so an embed doesn't keep playing underneath
+        this.videoPlayer.src = '';
+        this.videoPlayer.style.display = 'none';
+        
+        // Create video element
+        const videoElement = document.createElement('video');
+        videoElement.controls = true;
+        videoElement.autoplay = true;
+        videoElement.style.width = '100%';
+        videoElement.style.height = '100%';
+        videoElement.style.position = 'absolute';
+        videoElement.style.top = '0';
+        videoElement.style.left = '0';
+        
+        // Add event listeners for analytics
+        videoElement.addEventListener('play', () => {
+            this.videoManager.analytics.trackVideoEvent('play', video);
+        });
+        
+        videoElement.addEventListener('ended', () => {
+            const duration = (Date.now() - this.playbackStartTime) / 1000;
+            this.videoManager.analytics.trackVideoEvent('complete', video, { duration });
+            this.videoManager.playbackProgress.clear(video.id);
+            this.handlePlaybackEnded(video);
+        });
+
+        // Resume from the last saved position and keep tracking it
+        const start = this.takeStartTime(video);
+        videoElement.addEventListener('loadedmetadata', () => {
+            this.videoManager.saveDetectedDuration(video.id, videoElement.duration);
+            // Live streams report an infinite duration and always start at the live edge
+            if (start.time > 0 && Number.isFinite(videoElement.duration) && start.time < videoElement.duration) {
+                videoElement.currentTime = start.time;
+                if (!start.explicit) {
+                    this.videoManager.showNotification(`Resuming from ${this.videoManager.formatTime(start.time)}`, 'info');
+                }
+            }
+        }, { once: true });
+        videoElement.addEventListener('timeupdate', () => this.updateTranscriptHighlight(videoElement.currentTime));
+        videoElement.addEventListener('durationchange', () => this.renderBookmarkMarkers());
+
+        const saveProgress = () => {
+            this.videoManager.playbackProgress.update(video.id, videoElement.currentTime, videoElement.duration);
+        };
+        videoElement.addEventListener('timeupdate', PerformanceUtils.throttle(saveProgress, CONFIG.PLAYBACK.PROGRESS_SAVE_INTERVAL));
+        videoElement.addEventListener('pause', saveProgress);
+        
+        videoElement.addEventListener('error', () => {
+            this.videoManager.analytics.trackVideoEvent('error', video, { error: 'direct_playback_failed' });
+        });
+
+        videoElement.addEventListener('seeked', () => {
+            this.videoManager.analytics.trackVideoEvent('seek', video);
+            // Scrubbing while a note is being typed moves the note to where the user landed
+            if (this.pendingBookmarkTime !== null) this.setBookmarkDraftTime(videoElement.currentTime);
+        });
+
+        const streamFormat = UniversalVideoParser.getStreamFormat(url);
+        if (!streamFormat) {
+            const source = document.createElement('source');
+            source.src = url;
+            source.type = this.getVideoMimeType(url);
+            videoElement.appendChild(source);
+        }
+        videoContainer.appendChild(videoElement);
+        if (streamFormat) this.attachStream(video, videoElement, url, streamFormat);
+        this.showCaptionControls(true);
+        this.applyCaptionStyle();
+        this.attachSubtitles(video, videoElement);
+        
+        // Update UI
+        const badgeText = streamFormat ? `${streamFormat.toUpperCase()} Stream` : 'Direct Video';
+        this.currentVideoTitle.textContent = video.title;
+        this.currentVideoDescription.textContent = video.description;
+        this.currentPlatformBadge.className = 'platform-badge badge-direct';
+        this.currentPlatformBadge.textContent = badgeText;
+        
+        this.videoManager.showNotification(streamFormat ? `Loaded ${badgeText}` : 'Loaded direct video file', 'success');
+    }
+
+    async attachStream(video, videoElement, url, format) {
+        const adapter = new AdaptiveStreamAdapter(videoElement, url, format, {
+            onLevels: (levels) => this.renderQualityOptions(levels),
+            onLevelSwitched: (index) => this.showActiveQuality(index),
+            onLive: (isLive) => this.setLiveIndicator(isLive),
+            onError: (message) => {
+                if (this.streamPlayer !== adapter) return;
+                this.videoManager.analytics.trackVideoEvent('error', video, { error: 'stream_failed' });
+                this.videoManager.showNotification(message, 'error');
+                this.showFallbackMessage(video);
+            }
+        });
+        this.streamPlayer = adapter;
+
+        try {
+            await adapter.attach();
+        } catch (error) {
+            adapter.handlers.onError(error.message);
+        }
+    }
+
+    getVideoMimeType(url) {
+        const extension = url.split('.').pop().toLowerCase();
+        const mimeTypes = {
+            'mp4': 'video/mp4',
+            'webm': 'video/webm',
+            'ogg': 'video/ogg',
+            'mov': 'video/quicktime',
+            'mkv': 'video/x-matroska',
+            'flv': 'video/x-flv',
+            'avi': 'video/x-msvideo'
+        };
+        return mimeTypes[extension] || 'video/mp4';
+    }
+
+    handleEmbedError(video, embedUrls) {
+        this.currentEmbedIndex++;
+        
+        if (this.currentEmbedIndex < embedUrls.length) {
+            this.videoPlayer.src = embedUrls[this.currentEmbedIndex];
+            this.videoManager.showNotification(`Trying alternative embed... (${this.currentEmbedIndex + 1}/${embedUrls.length})`, 'info');
+        } else {
+            this.showFallbackMessage(video);
+            this.videoManager.showNotification('Could not load video with any available method', 'error');
+        }
+    }
+
+    showFallbackMessage(video = null) {
+        this.fallbackMessage.style.display = 'flex';
+        if (video) {
+            this.setupFallbackOptions(video);
+        }
+    }
+
+    setupFallbackOptions(video = null) {
+        const openOriginal = document.getElementById('openOriginal');
+        const downloadVideo = document.getElementById('downloadVideo');
+
+        if (video && openOriginal && downloadVideo) {
+            openOriginal.onclick = () => {
+                let url;
+                switch (video.type) {
+                    case 'drive':
+                        url = `https://drive.google.com/file/d/${video.videoId}/view?usp=sharing`;
+                        break;
+                    case 'youtube_playlist':
+                        url = `https://www.youtube.com/playlist?list=${video.videoId}`;
+                        break;
+                    case 'youtube':
+                        url = `https://www.youtube.com/watch?v=${video.videoId}`;
+                        break;
+                    default:
+                        url = video.originalUrl || video.url;
+                }
+                window.open(url, '_blank');
+                this.videoManager.showNotification('Opening original video...', 'success');
+            };
+
+            downloadVideo.onclick = () => {
+                let url;
+                if (video.type === 'drive') {
+                    url = `https://drive.google.com/uc?export=download&id=${video.videoId}`;
+                } else if (video.type === 'direct') {
+                    url = video.url;
+                } else {
+                    url = video.originalUrl || video.url;
+                }
+                window.open(url, '_blank');
+                this.videoManager.showNotification('Starting download...', 'success');
+            };
+        }
+    }
+}
+
+// ==================== SUPPORTING SERVICES ====================
+class CredentialStore {
+    constructor(storageKey = CONFIG.SETTINGS.STORAGE_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    static getDefaults() {
+        return {
+            backend: CONFIG.STORAGE.BACKEND,
+            mode: 'private', // 'private' (token) | 'public' (read-only, no token)
+            baseId: CONFIG.AIRTABLE.BASE_ID,
+            tableName: CONFIG.AIRTABLE.TABLE_NAME,
+            token: '',
+            publicUrl: CONFIG.AIRTABLE.PUBLIC_URL
+        };
+    }
+
+    readEnvelope() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Stored settings are unreadable:', error);
+            return null;
+        }
+    }
+
+    hasSaved() {
+        return this.readEnvelope() !== null;
+    }
+
+    isEncrypted() {
+        const envelope = this.readEnvelope();
+        return Boolean(envelope && envelope.encrypted);
+    }
+
+    async load(passphrase = null) {
+        const envelope = this.readEnvelope();
+        if (!envelope) return null;
+
+        if (!envelope.encrypted) {
+            return { ...CredentialStore.getDefaults(), ...envelope.settings };
+        }
+
+        if (!passphrase) {
+            throw new Error('Passphrase required to unlock saved settings');
+        }
+
+        try {
+            const key = await this.deriveKey(passphrase, this.fromBase64(envelope.salt));
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(envelope.iv) },
+                key,
+                this.fromBase64(envelope.data)
+            );
+            return { ...CredentialStore.getDefaults(), ...JSON.parse(new TextDecoder().decode(plaintext)) };
+        } catch {
+            throw new Error('Incorrect passphrase');
+        }
+    }
+
+    async save(settings, passphrase = null) {
+        let envelope;
+
+        if (passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const key = await this.deriveKey(passphrase, salt);
+            const ciphertext = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv },
+                key,
+                new TextEncoder().encode(JSON.stringify(settings))
+            );
+            envelope = {
+                version: 1,
+                encrypted: true,
+                salt: this.toBase64(salt),
+                iv: this.toBase64(iv),
+                data: this.toBase64(new Uint8Array(ciphertext))
+            };
+        } else {
+            envelope = { version: 1, encrypted: false, settings };
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(envelope));
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    async deriveKey(passphrase, salt) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: CONFIG.SETTINGS.PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+
+    static validate(settings) {
+        const errors = [];
+
+        if (settings.backend !== 'airtable') return errors;
+
+        if (settings.mode === 'public') {
+            if (!settings.publicUrl) {
+                errors.push('A public read-only URL is required in public mode');
+            } else if (!/^https?:\/\//i.test(settings.publicUrl)) {
+                errors.push('The public URL should start with http:// or https://');
+            }
+            return errors;
+        }
+
+        if (!/^app[A-Za-z0-9]{14}$/.test(settings.baseId || '')) {
+            errors.push('Base ID should look like "app" followed by 14 characters');
+        }
+        if (!settings.tableName) {
+            errors.push('Table name is required');
+        }
+        if (!(settings.token || '').startsWith('pat')) {
+            errors.push('Personal access token should start with "pat"');
+        }
+        return errors;
+    }
+}
+
+class AppStateStore {
+    constructor(storageKey = CONFIG.STATE.STORAGE_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    static getDefaults() {
+        return {
+            version: CONFIG.STATE.VERSION,
+            recentlyPlayed: [],
+            searchHistory: [],
+            currentSortOption: 'default',
+            currentFilters: { platform: 'all' },
+            currentVideoId: null,
+            analyticsStats: [],
+            playbackPositions: {},
+            queueMode: 'autoplay',
+            activePlaylistId: null,
+            captionPreferences: { language: null, size: 'medium', background: 'semi' }
+        };
+    }
+
+    // Each migration upgrades a state object from (version - 1) to version
+    getMigrations() {
+        return {
+            1: (state) => ({ ...AppStateStore.getDefaults(), ...state, version: 1 }),
+            2: (state) => ({ ...state, playbackPositions: state.playbackPositions || {} }),
+            3: (state) => ({ ...state, queueMode: state.queueMode || 'autoplay' }),
+            4: (state) => ({ ...state, activePlaylistId: state.activePlaylistId || null }),
+            5: (state) => ({ ...state, captionPreferences: state.captionPreferences || AppStateStore.getDefaults().captionPreferences })
+        };
+    }
+
+    migrate(state) {
+        const migrations = this.getMigrations();
+        let migrated = { ...state };
+        let version = Number(migrated.version) || 0;
+
+        if (version > CONFIG.STATE.VERSION) {
+            console.warn(`Saved state version ${version} is newer than supported ${CONFIG.STATE.VERSION}; ignoring it`);
+            return AppStateStore.getDefaults();
+        }
+
+        while (version < CONFIG.STATE.VERSION) {
+            version++;
+            migrated = migrations[version](migrated);
+            migrated.version = version;
+        }
+        return migrated;
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (!raw) return AppStateStore.getDefaults();
+            return this.migrate(JSON.parse(raw));
+        } catch (error) {
+            console.warn('Saved application state is unreadable, starting fresh:', error);
+            return AppStateStore.getDefaults();
+        }
+    }
+
+    save(state) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ ...state, version: CONFIG.STATE.VERSION }));
+        } catch (error) {
+            console.warn('Failed to save application state:', error);
+        }
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+class VideoRepository {
+    constructor() {
+        this.readOnly = false;
+        // Network-backed repositories queue writes while the browser is offline
+        this.requiresNetwork = false;
+    }
+
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error('Library is in read-only mode');
+        }
+    }
+
+    async getAllVideos(options = {}) {
+        throw new Error(`${this.constructor.name} does not implement getAllVideos()`);
+    }
+
+    async addVideo(video) {
+        throw new Error(`${this.constructor.name} does not implement addVideo()`);
+    }
+
+    // Results line up with the input: { video } on success, { error } on failure
+    async addVideos(videos, { onProgress } = {}) {
+        const results = [];
+        for (const video of videos) {
+            try {
+                results.push({ video: await this.addVideo(video), error: null });
+            } catch (error) {
+                results.push({ video: null, error });
+            }
+            if (onProgress) onProgress({ done: results.length, total: videos.length });
+        }
+        return results;
+    }
+
+    async updateVideo(id, changes) {
+        throw new Error(`${this.constructor.name} does not implement updateVideo()`);
+    }
+
+    // updates: [{ id, changes }]; results line up with the input like addVideos()
+    async updateVideos(updates, { onProgress } = {}) {
+        const results = [];
+        for (const { id, changes } of updates) {
+            try {
+                results.push({ video: await this.updateVideo(id, changes), error: null });
+            } catch (error) {
+                results.push({ video: null, error });
+            }
+            if (onProgress) onProgress({ done: results.length, total: updates.length });
+        }
+        return results;
+    }
+
+    async deleteVideo(id) {
+        throw new Error(`${this.constructor.name} does not implement deleteVideo()`);
+    }
+
+    async archiveVideo(id) {
+        return this.updateVideo(id, { status: 'inactive' });
+    }
+
+    async testConnection() {
+        await this.getAllVideos({ maxRecords: 1 });
+        return true;
+    }
+
+    async getPlaylists() {
+        throw new Error(`${this.constructor.name} does not implement getPlaylists()`);
+    }
+
+    async createPlaylist(playlist) {
+        throw new Error(`${this.constructor.name} does not implement createPlaylist()`);
+    }
+
+    async updatePlaylist(id, changes) {
+        throw new Error(`${this.constructor.name} does not implement updatePlaylist()`);
+    }
+
+    async deletePlaylist(id) {
+        throw new Error(`${this.constructor.name} does not implement deletePlaylist()`);
+    }
+
+    // Default query runs in memory; backends that can filter server-side override it
+    async queryVideos(query = {}) {
+        const videos = await this.getAllVideos();
+        return VideoRepository.applyQuery(videos, query);
+    }
+
+    buildRecordFields(video) {
+        return {
+            videoId: video.id,
+            title: video.title,
+            description: video.description,
+            type: video.type,
+            duration: video.duration || '--:--',
+            url: video.url,
+            thumbnail: video.thumbnail || '',
+            createdAt: new Date().toISOString(),
+            status: 'active',
+            viewCount: video.viewCount || 0,
+            tags: video.tags || [],
+            category: video.category || 'general',
+            author: video.author || '',
+            uploadDate: video.uploadDate || '',
+            // Only sent when set, so bases without these columns still accept videos that don't use them
+            ...(video.sourceUrl ? { sourceUrl: video.sourceUrl } : {}),
+            ...(video.subtitles && video.subtitles.length > 0 ? { subtitles: video.subtitles } : {}),
+            ...(video.transcript ? { transcript: video.transcript } : {}),
+            ...(video.bookmarks && video.bookmarks.length > 0 ? { bookmarks: video.bookmarks } : {})
+        };
+    }
+
+    pickEditableFields(changes) {
+        const editableFields = ['videoId', 'title', 'description', 'type', 'duration', 'url', 'thumbnail', 'status', 'viewCount', 'tags', 'category', 'author', 'uploadDate', 'lastChecked', 'healthStatus', 'subtitles', 'transcript', 'bookmarks'];
+        const fields = {};
+        editableFields.forEach(field => {
+            if (changes[field] !== undefined) fields[field] = changes[field];
+        });
+        return fields;
+    }
+
+    clearCache() {}
+
+    static applyQuery(videos, { where = {}, sort = [], fields, limit } = {}) {
+        let results = videos.filter(video => Object.entries(where).every(([field, expected]) => {
+            const value = video[field];
+            return Array.isArray(value) ? value.includes(expected) : value === expected;
+        }));
+
+        if (sort.length > 0) {
+            results = [...results].sort((a, b) => {
+                for (const { field, direction = 'asc' } of sort) {
+                    const order = String(a[field] ?? '').localeCompare(String(b[field] ?? ''), undefined, { numeric: true });
+                    if (order !== 0) return direction === 'desc' ? -order : order;
+                }
+                return 0;
+            });
+        }
+
+        if (fields && fields.length > 0) {
+            results = results.map(video => {
+                const picked = { id: video.id };
+                fields.forEach(field => { picked[field] = video[field]; });
+                return picked;
+            });
+        }
+
+        return limit ? results.slice(0, limit) : results;
+    }
+}
+
+class AirtableService extends VideoRepository {
+    constructor(apiKey, options = {}) {
+        super();
+        const {
+            baseId = CONFIG.AIRTABLE.BASE_ID,
+            tableName = CONFIG.AIRTABLE.TABLE_NAME,
+            publicUrl = CONFIG.AIRTABLE.PUBLIC_URL,
+            readOnly = !apiKey
+        } = options;
+
+        this.apiKey = apiKey;
+        this.tableName = tableName;
+        this.readOnly = readOnly;
+        this.requiresNetwork = true;
+        this.baseUrl = readOnly && publicUrl
+            ? publicUrl.replace(/\/$/, '')
+            : `${CONFIG.AIRTABLE.API_URL}/${baseId}/${encodeURIComponent(tableName)}`;
+        // A public endpoint only serves videos, so playlists are unavailable there
+        this.playlistsUrl = readOnly && publicUrl
+            ? null
+            : `${CONFIG.AIRTABLE.API_URL}/${baseId}/${encodeURIComponent(CONFIG.AIRTABLE.PLAYLISTS_TABLE_NAME)}`;
+        this.headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            this.headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        this.retryCount = 3;
+        this.retryDelay = 1000;
+        this.cache = new Map();
+        // Optional columns found missing, per table URL, so later writes leave them out
+        this.missingFields = new Map();
+    }
+
+    // Airtable has no list-of-objects field, so subtitle tracks and bookmarks are stored as JSON text
+    buildRecordFields(video) {
+        return this.encodeFields(super.buildRecordFields(video));
+    }
+
+    pickEditableFields(changes) {
+        return this.encodeFields(super.pickEditableFields(changes));
+    }
+
+    encodeFields(fields) {
+        if (Array.isArray(fields.subtitles)) fields.subtitles = JSON.stringify(fields.subtitles);
+        if (Array.isArray(fields.bookmarks)) fields.bookmarks = JSON.stringify(fields.bookmarks);
+        return fields;
+    }
+
+    async handleRequest(url, options, retries = this.retryCount) {
+        try {
+            const response = await fetch(url, {
+                ...options,
+                signal: AbortSignal.timeout(15000)
+            });
+            
+            if (!response.ok) {
+                if (response.status === 429 && retries > 0) {
+                    await this.delay(this.retryDelay * 2);
+                    return this.handleRequest(url, options, retries - 1);
+                } else if (response.status >= 500 && retries > 0) {
+                    await this.delay(this.retryDelay);
+                    return this.handleRequest(url, options, retries - 1);
+                }
+                // Airtable explains rejections in the body, e.g. UNKNOWN_FIELD_NAME for a missing column
+                const body = await response.json().catch(() => null);
+                const error = new Error(`HTTP ${response.status}: ${(body && body.error && body.error.message) || response.statusText}`);
+                error.status = response.status;
+                error.type = body && body.error ? body.error.type : null;
+                if (error.type === 'UNKNOWN_FIELD_NAME') {
+                    const fieldMatch = /"([^"]+)"/.exec(body.error.message || '');
+                    error.field = fieldMatch ? fieldMatch[1] : null;
+                }
+                throw error;
+            }
+            
+            return await response.json();
+        } catch (error) {
+            // HTTP errors already had their retries above, and a 4xx won't change on a retry
+            if (retries > 0 && error.name !== 'AbortError' && !error.status) {
+                await this.delay(this.retryDelay);
+                return this.handleRequest(url, options, retries - 1);
+            }
+            throw error;
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Creates or updates records; a missing optional column is dropped and the write retried once,
+    // any other missing column (bookmarks, subtitles, transcript...) is named so the user can add it
+    async sendRecords(url, method, records) {
+        const missing = this.missingFields.get(url) || new Set();
+        const body = JSON.stringify({
+            records: records.map(record => ({
+                ...record,
+                fields: Object.fromEntries(Object.entries(record.fields).filter(([name]) => !missing.has(name)))
+            }))
+        });
+
+        try {
+            return await this.handleRequest(url, { method, headers: this.headers, body });
+        } catch (error) {
+            if (!error.field) throw error;
+            if (!CONFIG.AIRTABLE.OPTIONAL_FIELDS.includes(error.field) || missing.has(error.field)) {
+                const table = url === this.playlistsUrl ? CONFIG.AIRTABLE.PLAYLISTS_TABLE_NAME : this.tableName;
+                error.message = `Add a "${error.field}" field to the ${table} table in Airtable (see README)`;
+                throw error;
+            }
+            console.warn(`Airtable table has no "${error.field}" field; saving without it`);
+            this.missingFields.set(url, new Set([...missing, error.field]));
+            return this.sendRecords(url, method, records);
+        }
+    }
+
+    async getAllVideos(options = {}) {
+        const { onPage, filterByFormula, sort, fields, maxRecords, pageSize = CONFIG.AIRTABLE.PAGE_SIZE } = options;
+        const cacheKey = `all-videos-${JSON.stringify({ filterByFormula, sort, fields, maxRecords, pageSize })}`;
+        if (this.cache.has(cacheKey)) {
+            const cached = this.cache.get(cacheKey);
+            if (onPage) onPage(cached, { page: 1, loaded: cached.length, videos: cached, done: true });
+            return cached;
+        }
+
+        try {
+            const videos = [];
+            let offset = null;
+            let page = 0;
+
+            do {
+                const url = this.buildListUrl({ filterByFormula, sort, fields, pageSize, maxRecords, offset });
+                const data = await this.handleRequest(url, {
+                    method: 'GET',
+                    headers: this.headers
+                });
+
+                if (!data.records || !Array.isArray(data.records)) {
+                    throw new Error('Invalid Airtable response format');
+                }
+
+                const pageVideos = data.records
+                    .map(record => this.mapRecord(record))
+                    .filter(video => video.status !== 'inactive');
+
+                videos.push(...pageVideos);
+                offset = data.offset || null;
+                page++;
+
+                if (onPage) {
+                    onPage(pageVideos, { page, loaded: videos.length, videos: [...videos], done: !offset });
+                }
+            } while (offset);
+
+            this.cache.set(cacheKey, videos);
+            setTimeout(() => this.cache.delete(cacheKey), CONFIG.SEARCH.CACHE_DURATION);
+            
+            return videos;
+        } catch (error) {
+            console.error('Error fetching videos from Airtable:', error);
+            throw new Error('Failed to load videos from cloud storage');
+        }
+    }
+
+    async queryVideos({ where = {}, sort, fields, limit } = {}) {
+        const conditions = Object.entries(where).map(([field, value]) => {
+            const escaped = String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+            return field === 'tags'
+                ? `FIND('${escaped}', ARRAYJOIN({tags}))`
+                : `{${field}}='${escaped}'`;
+        });
+        const filterByFormula = conditions.length > 1 ? `AND(${conditions.join(', ')})` : conditions[0];
+        return this.getAllVideos({ filterByFormula, sort, fields, maxRecords: limit });
+    }
+
+    buildListUrl({ filterByFormula, sort, fields, pageSize, maxRecords, offset } = {}, baseUrl = this.baseUrl) {
+        const params = new URLSearchParams();
+        if (pageSize) params.set('pageSize', String(Math.min(pageSize, 100)));
+        if (maxRecords) params.set('maxRecords', String(maxRecords));
+        if (offset) params.set('offset', offset);
+        if (filterByFormula) params.set('filterByFormula', filterByFormula);
+        (sort || []).forEach((rule, index) => {
+            params.set(`sort[${index}][field]`, rule.field);
+            params.set(`sort[${index}][direction]`, rule.direction || 'asc');
+        });
+        (fields || []).forEach(field => params.append('fields[]', field));
+
+        // A shared-view or proxy URL may already carry its own query string (e.g. ?view=x)
+        const url = new URL(baseUrl, location.href);
+        params.forEach((value, key) => url.searchParams.append(key, value));
+        return url.toString();
+    }
+
+    mapRecord(record) {
+        return {
+            id: record.id,
+            videoId: record.fields.videoId || record.id,
+            title: record.fields.title || '',
+            description: record.fields.description || '',
+            type: record.fields.type || 'other',
+            duration: record.fields.duration || '--:--',
+            url: record.fields.url || '',
+            embedUrls: record.fields.embedUrls || [record.fields.url || ''],
+            thumbnail: record.fields.thumbnail || null,
+            createdAt: record.fields.createdAt || new Date().toISOString(),
+            status: record.fields.status || 'active',
+            viewCount: record.fields.viewCount || 0,
+            tags: record.fields.tags || [],
+            category: record.fields.category || 'general',
+            author: record.fields.author || '',
+            uploadDate: record.fields.uploadDate || '',
+            sourceUrl: record.fields.sourceUrl || '',
+            lastChecked: record.fields.lastChecked || '',
+            healthStatus: record.fields.healthStatus || '',
+            subtitles: SubtitleTracks.normalize(record.fields.subtitles),
+            transcript: record.fields.transcript || '',
+            bookmarks: VideoBookmarks.normalize(record.fields.bookmarks)
+        };
+    }
+
+    async testConnection() {
+        const data = await this.handleRequest(this.buildListUrl({ pageSize: 1, maxRecords: 1 }), {
+            method: 'GET',
+            headers: this.headers
+        }, 0);
+
+        if (!data.records || !Array.isArray(data.records)) {
+            throw new Error('Invalid Airtable response format');
+        }
+        return true;
+    }
+
+    async addVideo(video) {
+        this.assertWritable();
+        try {
+            const data = await this.sendRecords(this.baseUrl, 'POST', [{ fields: this.buildRecordFields(video) }]);
+
+            if (!data.records || data.records.length === 0) {
+                throw new Error('No record returned from Airtable');
+            }
+
+            this.clearCache();
+            return this.mapRecord(data.records[0]);
+        } catch (error) {
+            console.error('Error adding video to Airtable:', error);
+            throw error;
+        }
+    }
+
+    async addVideos(videos, { onProgress } = {}) {
+        this.assertWritable();
+        const results = [];
+
+        for (let i = 0; i < videos.length; i += CONFIG.AIRTABLE.BATCH_SIZE) {
+            const batch = videos.slice(i, i + CONFIG.AIRTABLE.BATCH_SIZE);
+            try {
+                const data = await this.sendRecords(this.baseUrl, 'POST', batch.map(video => ({ fields: this.buildRecordFields(video) })));
+                // Airtable returns created records in request order
+                const records = data.records || [];
+                batch.forEach((video, index) => {
+                    results.push(records[index]
+                        ? { video: this.mapRecord(records[index]), error: null }
+                        : { video: null, error: new Error('No record returned from Airtable') });
+                });
+            } catch (error) {
+                console.error('Error adding video batch to Airtable:', error);
+                batch.forEach(() => results.push({ video: null, error }));
+            }
+            if (onProgress) onProgress({ done: results.length, total: videos.length });
+        }
+
+        this.clearCache();
+        return results;
+    }
+
+    async updateVideos(updates, { onProgress } = {}) {
+        this.assertWritable();
+        const results = [];
+
+        for (let i = 0; i < updates.length; i += CONFIG.AIRTABLE.BATCH_SIZE) {
+            const batch = updates.slice(i, i + CONFIG.AIRTABLE.BATCH_SIZE);
+            try {
+                const data = await this.sendRecords(this.baseUrl, 'PATCH', batch.map(({ id, changes }) => ({ id, fields: this.pickEditableFields(changes) })));
+                const records = new Map((data.records || []).map(record => [record.id, record]));
+                batch.forEach(({ id }) => {
+                    results.push(records.has(id)
+                        ? { video: this.mapRecord(records.get(id)), error: null }
+                        : { video: null, error: new Error('No record returned from Airtable') });
+                });
+            } catch (error) {
+                console.error('Error updating video batch in Airtable:', error);
+                batch.forEach(() => results.push({ video: null, error }));
+            }
+            if (onProgress) onProgress({ done: results.length, total: updates.length });
+        }
+
+        this.clearCache();
+        return results;
+    }
+
+    async updateVideo(id, changes) {
+        this.assertWritable();
+        const fields = this.pickEditableFields(changes);
+
+        try {
+            const data = await this.sendRecords(this.baseUrl, 'PATCH', [{ id, fields }]);
+
+            if (!data.records || data.records.length === 0) {
+                throw new Error('No record returned from Airtable');
+            }
+
+            this.clearCache();
+            return this.mapRecord(data.records[0]);
+        } catch (error) {
+            console.error('Error updating video in Airtable:', error);
+            throw error;
+        }
+    }
+
+    async deleteVideo(id) {
+        this.assertWritable();
+        try {
+            const data = await this.handleRequest(`${this.baseUrl}/${encodeURIComponent(id)}`, {
+                method: 'DELETE',
+                headers: this.headers
+            });
+
+            if (!data.deleted) {
+                throw new Error('Airtable did not confirm the deletion');
+            }
+
+            this.clearCache();
+            return true;
+        } catch (error) {
+            console.error('Error deleting video from Airtable:', error);
+            throw error;
+        }
+    }
+
+    mapPlaylistRecord(record) {
+        let videoIds = [];
+        try {
+            videoIds = JSON.parse(record.fields.videoIds || '[]');
+        } catch {
+            console.warn('Playlist has malformed videoIds:', record.id);
+        }
+        return {
+            id: record.id,
+            name: record.fields.name || 'Untitled playlist',
+            videoIds: Array.isArray(videoIds) ? videoIds : [],
+            createdAt: record.fields.createdAt || new Date().toISOString(),
+            sourceUrl: record.fields.sourceUrl || ''
+        };
+    }
+
+    async getPlaylists() {
+        if (!this.playlistsUrl) return [];
+
+        const playlists = [];
+        let offset = null;
+        do {
+            const url = this.buildListUrl({ pageSize: CONFIG.AIRTABLE.PAGE_SIZE, offset }, this.playlistsUrl);
+            let data;
+            try {
+                data = await this.handleRequest(url, { method: 'GET', headers: this.headers });
+            } catch (error) {
+                // Airtable answers 404 (or 403 for some tokens) when the table doesn't exist;
+                // switch playlists off so later loads don't ask again
+                if (error.status === 404 || error.status === 403) {
+                    this.playlistsUrl = null;
+                    error.playlistsUnavailable = true;
+                }
+                throw error;
+            }
+            if (!data.records || !Array.isArray(data.records)) {
+                throw new Error('Invalid Airtable response format');
+            }
+            playlists.push(...data.records.map(record => this.mapPlaylistRecord(record)));
+            offset = data.offset || null;
+        } while (offset);
+
+        return playlists;
+    }
+
+    async createPlaylist(playlist) {
+        this.assertWritable();
+        if (!this.playlistsUrl) {
+            throw new Error(`This base has no "${CONFIG.AIRTABLE.PLAYLISTS_TABLE_NAME}" table`);
+        }
+        const data = await this.sendRecords(this.playlistsUrl, 'POST', [{
+            fields: {
+                name: playlist.name,
+                videoIds: JSON.stringify(playlist.videoIds || []),
+                createdAt: new Date().toISOString(),
+                ...(playlist.sourceUrl ? { sourceUrl: playlist.sourceUrl } : {})
+            }
+        }]);
+
+        if (!data.records || data.records.length === 0) {
+            throw new Error('No record returned from Airtable');
+        }
+        return this.mapPlaylistRecord(data.records[0]);
+    }
+
+    async updatePlaylist(id, changes) {
+        this.assertWritable();
+        const fields = {};
+        if (changes.name !== undefined) fields.name = changes.name;
+        if (changes.videoIds !== undefined) fields.videoIds = JSON.stringify(changes.videoIds);
+
+        const data = await this.handleRequest(this.playlistsUrl, {
+            method: 'PATCH',
+            headers: this.headers,
+            body: JSON.stringify({ records: [{ id, fields }] })
+        });
+
+        if (!data.records || data.records.length === 0) {
+            throw new Error('No record returned from Airtable');
+        }
+        return this.mapPlaylistRecord(data.records[0]);
+    }
+
+    async deletePlaylist(id) {
+        this.assertWritable();
+        const data = await this.handleRequest(`${this.playlistsUrl}/${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+            headers: this.headers
+        });
+
+        if (!data.deleted) {
+            throw new Error('Airtable did not confirm the deletion');
+        }
+        return true;
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+class IndexedDBService extends VideoRepository {
+    constructor(options = CONFIG.STORAGE.INDEXEDDB) {
+        super();
+        this.dbName = options.DB_NAME;
+        this.storeName = options.STORE_NAME;
+        this.playlistStoreName = options.PLAYLIST_STORE_NAME;
+        this.version = options.VERSION;
+        this.dbPromise = null;
+    }
+
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('status', 'status');
+                    store.createIndex('type', 'type');
+                }
+                if (!db.objectStoreNames.contains(this.playlistStoreName)) {
+                    db.createObjectStore(this.playlistStoreName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later call to retry if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    async withStore(mode, operation, storeName = this.storeName) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    generateId() {
+        return `local${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    async getAllVideos(options = {}) {
+        try {
+            const records = await this.withStore('readonly', store => store.getAll());
+            const active = records.filter(video => video.status !== 'inactive');
+            const videos = VideoRepository.applyQuery(active, {
+                sort: options.sort,
+                fields: options.fields,
+                limit: options.maxRecords
+            });
+
+            if (options.onPage) {
+                options.onPage(videos, { page: 1, loaded: videos.length, videos, done: true });
+            }
+            return videos;
+        } catch (error) {
+            console.error('Error reading videos from IndexedDB:', error);
+            throw new Error('Failed to load videos from local storage');
+        }
+    }
+
+    async addVideo(video) {
+        const record = {
+            id: this.generateId(),
+            ...this.buildRecordFields(video),
+            embedUrls: video.embedUrls || [video.url || '']
+        };
+
+        try {
+            await this.withStore('readwrite', store => store.add(record));
+            return record;
+        } catch (error) {
+            console.error('Error adding video to IndexedDB:', error);
+            throw error;
+        }
+    }
+
+    async updateVideo(id, changes) {
+        try {
+            const existing = await this.withStore('readonly', store => store.get(id));
+            if (!existing) {
+                throw new Error(`Video ${id} not found`);
+            }
+
+            const updated = { ...existing, ...this.pickEditableFields(changes) };
+            // Airtable derives embed URLs from url, but local records store them
+            if (changes.embedUrls) updated.embedUrls = [...changes.embedUrls];
+            await this.withStore('readwrite', store => store.put(updated));
+            return updated;
+        } catch (error) {
+            console.error('Error updating video in IndexedDB:', error);
+            throw error;
+        }
+    }
+
+    async deleteVideo(id) {
+        try {
+            await this.withStore('readwrite', store => store.delete(id));
+            return true;
+        } catch (error) {
+            console.error('Error deleting video from IndexedDB:', error);
+            throw error;
+        }
+    }
+
+    async getPlaylists() {
+        const playlists = await this.withStore('readonly', store => store.getAll(), this.playlistStoreName);
+        return playlists.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async createPlaylist(playlist) {
+        const record = {
+            id: this.generateId(),
+            name: playlist.name,
+            videoIds: playlist.videoIds || [],
+            createdAt: new Date().toISOString(),
+            sourceUrl: playlist.sourceUrl || ''
+        };
+        await this.withStore('readwrite', store => store.add(record), this.playlistStoreName);
+        return record;
+    }
+
+    async updatePlaylist(id, changes) {
+        const existing = await this.withStore('readonly', store => store.get(id), this.playlistStoreName);
+        if (!existing) {
+            throw new Error(`Playlist ${id} not found`);
+        }
+
+        const updated = { ...existing };
+        if (changes.name !== undefined) updated.name = changes.name;
+        if (changes.videoIds !== undefined) updated.videoIds = [...changes.videoIds];
+
+        await this.withStore('readwrite', store => store.put(updated), this.playlistStoreName);
+        return updated;
+    }
+
+    async deletePlaylist(id) {
+        await this.withStore('readwrite', store => store.delete(id), this.playlistStoreName);
+        return true;
+    }
+}
+
+class SearchService {
+    constructor(repository) {
+        this.repository = repository;
+        // term -> Map(videoId -> { field: termFrequency })
+        this.searchIndex = new Map();
+        this.fieldLengths = new Map();
+        this.averageFieldLengths = {};
+        this.suggestionCache = new Map();
+        this.transcriptQuery = null;
+        this.transcriptExpansions = [];
+    }
+
+    async buildSearchIndex(videos) {
+        this.searchIndex.clear();
+        this.fieldLengths.clear();
+        this.clearSuggestionCache();
+        this.transcriptQuery = null;
+        const totals = {};
+
+        videos.forEach(video => {
+            const lengths = {};
+            CONFIG.SEARCH.SEARCH_FIELDS.forEach(field => {
+                const terms = this.tokenize(this.getFieldText(video, field));
+                lengths[field] = terms.length;
+                totals[field] = (totals[field] || 0) + terms.length;
+
+                terms.forEach(term => {
+                    if (!this.searchIndex.has(term)) this.searchIndex.set(term, new Map());
+                    const postings = this.searchIndex.get(term);
+                    if (!postings.has(video.id)) postings.set(video.id, {});
+                    const frequencies = postings.get(video.id);
+                    frequencies[field] = (frequencies[field] || 0) + 1;
+                });
+            });
+            this.fieldLengths.set(video.id, lengths);
+        });
+
+        this.averageFieldLengths = {};
+        CONFIG.SEARCH.SEARCH_FIELDS.forEach(field => {
+            this.averageFieldLengths[field] = videos.length > 0 ? (totals[field] || 0) / videos.length : 0;
+        });
+    }
+
+    getFieldText(video, field) {
+        if (field === 'transcript') return TranscriptParser.getPlainText(video);
+        const value = video[field];
+        return Array.isArray(value) ? value.join(' ') : String(value || '');
+    }
+
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word.length >= CONFIG.SEARCH.MIN_TERM_LENGTH);
+    }
+
+    // BM25 over the weighted fields; a video has to match every query term to be returned
+    search(query, { fields = CONFIG.SEARCH.SEARCH_FIELDS } = {}) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const scores = new Map();
+        if (queryTerms.length === 0) return scores;
+
+        const { BM25_K1: k1, BM25_B: b, FIELD_WEIGHTS } = CONFIG.SEARCH;
+        const documentCount = this.fieldLengths.size;
+
+        queryTerms.forEach((queryTerm, termIndex) => {
+            const termScores = new Map();
+
+            this.expandTerm(queryTerm).forEach(({ term, weight }) => {
+                const postings = this.searchIndex.get(term);
+                const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+
+                postings.forEach((frequencies, videoId) => {
+                    const lengths = this.fieldLengths.get(videoId);
+                    let score = 0;
+                    fields.forEach(field => {
+                        const tf = frequencies[field];
+                        if (!tf) return;
+                        const lengthRatio = lengths[field] / (this.averageFieldLengths[field] || 1);
+                        score += (FIELD_WEIGHTS[field] || 1) * idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengthRatio));
+                    });
+                    // Best expansion wins so one typo can't outrank an exact match by volume
+                    score *= weight;
+                    if (score > (termScores.get(videoId) || 0)) termScores.set(videoId, score);
+                });
+            });
+
+            if (termIndex === 0) {
+                termScores.forEach((score, videoId) => scores.set(videoId, score));
+                return;
+            }
+            scores.forEach((score, videoId) => {
+                if (termScores.has(videoId)) {
+                    scores.set(videoId, score + termScores.get(videoId));
+                } else {
+                    scores.delete(videoId);
+                }
+            });
+        });
+
+        return scores;
+    }
+
+    // The cue that best explains a transcript hit: a quoted phrase first, otherwise the
+    // cue matching the most query terms (including their prefix/typo expansions)
+    findTranscriptMatch(video, parsedQuery) {
+        const cues = TranscriptParser.getCues(video);
+        if (cues.length === 0 || !parsedQuery) return null;
+
+        const phrases = parsedQuery.clauses
+            .filter(clause => clause.kind === 'phrase' && !clause.negated)
+            .map(clause => clause.value.toLowerCase());
+        for (const phrase of phrases) {
+            const cue = cues.find(c => c.text.toLowerCase().includes(phrase));
+            if (cue) return cue;
+        }
+
+        // Expanding scans the whole index, so do it once per query rather than once per row
+        if (this.transcriptQuery !== parsedQuery) {
+            this.transcriptQuery = parsedQuery;
+            this.transcriptExpansions = [...new Set(this.tokenize(parsedQuery.text))]
+                .map(term => new Set([term, ...this.expandTerm(term).map(expansion => expansion.term)]));
+        }
+        const expansions = this.transcriptExpansions;
+        if (expansions.length === 0) return null;
+
+        let best = null;
+        let bestHits = 0;
+        for (const cue of cues) {
+            const cueTerms = this.tokenize(cue.text);
+            const hits = expansions.filter(terms => cueTerms.some(term => terms.has(term))).length;
+            if (hits > bestHits) {
+                best = cue;
+                bestHits = hits;
+                if (hits === expansions.length) break;
+            }
+        }
+        return best;
+    }
+
+    // Splits `author:"Jane Doe" tag:x duration:>10m added:<30d -draft "exact phrase" free text`
+    // into clauses; malformed clauses are reported in errors and otherwise ignored
+    parseQuery(input) {
+        const query = { clauses: [], text: '', errors: [] };
+        const source = String(input || '');
+        let i = 0;
+
+        while (i < source.length) {
+            if (/\s/.test(source[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const negated = source[i] === '-' && i + 1 < source.length && !/\s/.test(source[i + 1]);
+            if (negated) i++;
+
+            // A pasted URL (https://…) is free text, not a filter named "https"
+            const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(source.slice(i));
+            const keyMatch = isUrl ? null : /^([a-zA-Z]+):/.exec(source.slice(i));
+            const key = keyMatch ? keyMatch[1].toLowerCase() : null;
+            if (keyMatch) i += keyMatch[0].length;
+
+            let value;
+            let quoted = false;
+            if (source[i] === '"') {
+                const end = source.indexOf('"', i + 1);
+                quoted = true;
+                if (end === -1) {
+                    query.errors.push('Missing closing quote');
+                    value = source.slice(i + 1);
+                    i = source.length;
+                } else {
+                    value = source.slice(i + 1, end);
+                    i = end + 1;
+                }
+            } else {
+                const end = source.slice(i).search(/\s/);
+                value = end === -1 ? source.slice(i) : source.slice(i, i + end);
+                i = end === -1 ? source.length : i + end;
+            }
+
+            const raw = source.slice(start, i);
+            const clause = this.parseClause({ raw, key, value: value.trim(), negated, quoted }, query.errors);
+            if (clause) query.clauses.push(clause);
+        }
+
+        query.text = query.clauses
+            .filter(clause => clause.kind === 'text')
+            .map(clause => clause.value)
+            .join(' ');
+        return query;
+    }
+
+    parseClause({ raw, key, value, negated, quoted }, errors) {
+        if (key && !CONFIG.SEARCH.QUERY_FIELDS[key]) {
+            errors.push(`Unknown filter "${key}:" (try ${Object.keys(CONFIG.SEARCH.QUERY_FIELDS).join(', ')})`);
+            return { kind: 'text', raw, value: raw.replace(/"/g, '') };
+        }
+
+        if (key) {
+            if (!value) {
+                errors.push(`Missing value for "${key}:"`);
+                return null;
+            }
+            const field = CONFIG.SEARCH.QUERY_FIELDS[key];
+            if (field === 'duration') return this.parseDurationClause({ raw, key, value, negated }, errors);
+            if (field === 'createdAt') return this.parseAddedClause({ raw, key, value, negated }, errors);
+            return { kind: 'field', raw, key, field, value, negated, label: `${key}: ${value}` };
+        }
+
+        if (!value) return null;
+        if (quoted) return { kind: 'phrase', raw, value, negated, label: `"${value}"` };
+        if (negated) return { kind: 'phrase', raw, value, negated, label: value };
+        return { kind: 'text', raw, value };
+    }
+
+    parseDurationClause({ raw, key, value, negated }, errors) {
+        const match = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(s|m|h)?$/i.exec(value);
+        if (!match) {
+            errors.push(`Invalid duration "${value}" (e.g. duration:>10m)`);
+            return null;
+        }
+
+        const [, comparator = '=', amount, unit = 'm'] = match;
+        const seconds = parseFloat(amount) * { s: 1, m: 60, h: 3600 }[unit.toLowerCase()];
+        return { kind: 'range', raw, key, field: 'duration', comparator, value: seconds, negated, label: `duration ${comparator} ${amount}${unit}` };
+    }
+
+    // Relative ages compare against now (`added:<30d` = newer than 30 days), dates compare directly
+    parseAddedClause({ raw, key, value, negated }, errors) {
+        const relative = /^(>=|<=|>|<)?(\d+)(h|d|w|mo|y)$/i.exec(value);
+        const absolute = /^(>=|<=|>|<)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+
+        if (relative) {
+            const [, comparator = '<', amount, unit] = relative;
+            const unitMs = { h: 3600e3, d: 86400e3, w: 7 * 86400e3, mo: 30 * 86400e3, y: 365 * 86400e3 }[unit.toLowerCase()];
+            // Younger than N means created after now - N, so the comparison flips
+            const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' }[comparator];
+            return { kind: 'range', raw, key, field: 'createdAt', comparator: flipped, value: Date.now() - amount * unitMs, negated, label: `added ${comparator} ${amount}${unit}` };
+        }
+
+        if (absolute) {
+            const [, comparator = '>=', date] = absolute;
+            const timestamp = new Date(`${date}T00:00:00`).getTime();
+            if (Number.isFinite(timestamp)) {
+                return { kind: 'range', raw, key, field: 'createdAt', comparator, value: timestamp, negated, label: `added ${comparator} ${date}` };
+            }
+        }
+
+        errors.push(`Invalid date "${value}" (e.g. added:<30d or added:>2024-01-31)`);
+        return null;
+    }
+
+    // Exact term, prefix completions and, for longer terms, near misses within the edit distance budget
+    expandTerm(queryTerm) {
+        const maxDistance = CONFIG.SEARCH.FUZZY_SEARCH ? this.getMaxEditDistance(queryTerm) : 0;
+        const expansions = [];
+
+        this.searchIndex.forEach((postings, term) => {
+            if (term === queryTerm) {
+                expansions.push({ term, weight: 1 });
+            } else if (term.startsWith(queryTerm)) {
+                expansions.push({ term, weight: CONFIG.SEARCH.PREFIX_WEIGHT });
+            } else if (maxDistance > 0 && Math.abs(term.length - queryTerm.length) <= maxDistance) {
+                const distance = this.editDistance(queryTerm, term, maxDistance);
+                if (distance <= maxDistance) {
+                    expansions.push({ term, weight: CONFIG.SEARCH.TYPO_WEIGHT / distance });
+                }
+            }
+        });
+
+        return expansions;
+    }
+
+    getMaxEditDistance(term) {
+        if (term.length < 4) return 0;
+        return term.length < 8 ? 1 : 2;
+    }
+
+    // Levenshtein distance that gives up once every path exceeds maxDistance
+    editDistance(a, b, maxDistance) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Recent searches first, then ranked titles, authors, tags and platforms for the free text
+    getSuggestions(query, videos, history = [], maxResults = CONFIG.SEARCH.MAX_SUGGESTIONS) {
+        const text = this.parseQuery(query).text.trim();
+        const queryLower = text.toLowerCase();
+
+        const recent = history
+            .filter(term => term !== query && (!queryLower || term.toLowerCase().includes(queryLower)))
+            .slice(0, CONFIG.SEARCH.MAX_RECENT_SUGGESTIONS)
+            .map(term => ({ type: 'history', text: term }));
+
+        if (text.length < CONFIG.SEARCH.MIN_SEARCH_LENGTH) return recent;
+
+        const cacheKey = `suggestions-${queryLower}`;
+        if (!this.suggestionCache.has(cacheKey)) {
+            this.suggestionCache.set(cacheKey, this.buildSuggestions(text, videos));
+        }
+        return [...recent, ...this.suggestionCache.get(cacheKey)].slice(0, maxResults);
+    }
+
+    buildSuggestions(text, videos) {
+        const queryLower = text.toLowerCase();
+        const perType = CONFIG.SEARCH.SUGGESTIONS_PER_TYPE;
+        const suggestions = [];
+
+        // Title matches follow the ranked index so typos and prefixes still suggest
+        const scores = this.search(text, { fields: ['title'] });
+        videos
+            .filter(video => scores.has(video.id))
+            .sort((a, b) => scores.get(b.id) - scores.get(a.id))
+            .slice(0, perType)
+            .forEach(video => suggestions.push({ type: 'title', text: video.title, video }));
+
+        const collect = (values) => [...new Set(values.filter(Boolean).map(value => String(value).trim()))]
+            .filter(value => value.toLowerCase().includes(queryLower))
+            .slice(0, perType);
+
+        collect(videos.map(video => video.author))
+            .forEach(author => suggestions.push({ type: 'author', text: author }));
+        collect(videos.flatMap(video => Array.isArray(video.tags) ? video.tags : []))
+            .forEach(tag => suggestions.push({ type: 'tag', text: tag }));
+
+        // Platform matches
+        const platforms = ['youtube', 'drive', 'vimeo', 'dailymotion', 'facebook', 'instagram', 'tiktok', 'twitter', 'twitch', 'streamable', 'dropbox', 'photos'];
+        platforms.forEach(platform => {
+            if (platform.includes(queryLower)) {
+                suggestions.push({ type: 'platform', text: `${platform.charAt(0).toUpperCase() + platform.slice(1)} Videos`, platform: platform });
+            }
+        });
+
+        return suggestions;
+    }
+
+    clearSuggestionCache() {
+        this.suggestionCache.clear();
+    }
+}
+
+// ==================== ROUTING ====================
+// Hash routes: #/video/{id}?t=90 and #/platform/{platform}?q=design&sort=date_desc.
+// Each new video pushes a history entry so back/forward step between videos; filter and
+// search changes replace the current entry so typing a query doesn't flood the history.
+class AppRouter {
+    constructor(videoManager, player) {
+        this.videoManager = videoManager;
+        this.player = player;
+        this.applying = false;
+        this.lastFilterHash = null;
+    }
+
+    static parse(hash) {
+        const [path, search = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+        const params = new URLSearchParams(search);
+        let section;
+        let value;
+        try {
+            [section, value] = path.split('/').map(decodeURIComponent);
+        } catch {
+            return null;
+        }
+
+        if (section === 'video' && value) {
+            const time = Number(params.get('t'));
+            return { name: 'video', videoId: value, time: Number.isFinite(time) && time > 0 ? time : null };
+        }
+        if (section === 'platform') {
+            return { name: 'library', platform: value || 'all', query: params.get('q') || '', sort: params.get('sort') || 'default' };
+        }
+        return null;
+    }
+
+    static build(route) {
+        if (route.name === 'video') {
+            const time = Math.floor(route.time || 0);
+            return `#/video/${encodeURIComponent(route.videoId)}${time > 0 ? `?t=${time}` : ''}`;
+        }
+
+        const params = new URLSearchParams();
+        if (route.query) params.set('q', route.query);
+        if (route.sort && route.sort !== 'default') params.set('sort', route.sort);
+        const search = params.toString();
+        return `#/platform/${encodeURIComponent(route.platform || 'all')}${search ? `?${search}` : ''}`;
+    }
+
+    start() {
+        this.videoManager.router = this;
+        this.lastFilterHash = this.getFilterHash();
+        window.addEventListener('popstate', () => this.restore());
+    }
+
+    getFilterHash() {
+        const manager = this.videoManager;
+        return AppRouter.build({
+            name: 'library',
+            platform: manager.currentFilters.platform,
+            query: manager.currentSearchTerm,
+            sort: manager.currentSortOption
+        });
+    }
+
+    getShareUrl(video, time) {
+        return `${location.origin}${location.pathname}${location.search}${AppRouter.build({ name: 'video', videoId: video.id, time })}`;
+    }
+
+    // Applies the route in the address bar; returns true when it picked the video to play
+    restore() {
+        const route = AppRouter.parse(location.hash);
+        const videoId = route && route.name === 'video' ? route.videoId : history.state && history.state.videoId;
+
+        this.applying = true;
+        try {
+            if (route && route.name === 'library') this.applyFilters(route);
+            if (!videoId) return false;
+
+            const video = this.videoManager.allVideos.find(v => v.id === videoId);
+            if (!video) {
+                this.videoManager.showNotification('The linked video is not in this library', 'warning');
+                return false;
+            }
+
+            // A typed or shared link arrives without state; record it so the next video pushes
+            if (!history.state || history.state.videoId !== video.id) {
+                history.replaceState({ videoId: video.id }, '', location.hash);
+            }
+            const startAt = route && route.name === 'video' ? route.time : null;
+            const current = this.player.currentVideoData;
+            if (!current || current.id !== video.id || startAt !== null) {
+                this.player.loadVideo(video, { startAt });
+            }
+            return true;
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    // Unknown platforms or sort keys in a hand-edited link fall back to the defaults
+    applyFilters(route) {
+        const manager = this.videoManager;
+        const isOption = (selectId, value) => Array.from(document.querySelectorAll(`#${selectId} option`)).some(option => option.value === value);
+        const platform = isOption('filterOptions', route.platform) ? route.platform : 'all';
+
+        manager.currentFilters.platform = platform;
+        manager.currentPlatform = platform;
+        manager.currentSearchTerm = route.query;
+        manager.currentSortOption = isOption('sortOptions', route.sort) ? route.sort : 'default';
+        manager.syncControlsWithState();
+        manager.applyFiltersAndSearch();
+    }
+
+    syncVideo(video, startAt = null) {
+        if (this.applying) return;
+        const hash = AppRouter.build({ name: 'video', videoId: video.id, time: startAt });
+        if (location.hash === hash) return;
+
+        // The first video of a session takes over the entry the page was opened with
+        if (!history.state || !history.state.videoId) {
+            const route = AppRouter.parse(location.hash);
+            history.replaceState({ videoId: video.id }, '', route && route.name === 'library' ? location.hash : hash);
+            return;
+        }
+        history.pushState({ videoId: video.id }, '', hash);
+    }
+
+    // Library refreshes re-run the filters too, so only a real change rewrites the address
+    syncFilters() {
+        const hash = this.getFilterHash();
+        if (hash === this.lastFilterHash) return;
+        this.lastFilterHash = hash;
+        if (this.applying) return;
+        history.replaceState({ videoId: this.player.currentVideoData ? this.player.currentVideoData.id : null }, '', hash);
+    }
+}
+
+// ==================== APPLICATION INITIALIZATION ====================
+let videoManager;
+let videoPlayerController;
+
+function createFloatingParticles() {
+    const particlesContainer = document.getElementById('floatingParticles');
+    if (!particlesContainer) return;
+    
+    const particleCount = 20; // Reduced for better performance
+
+    for (let i = 0; i < particleCount; i++) {
+        const particle = document.createElement('div');
+        particle.classList.add('particle');
+        const size = Math.random() * 80 + 20;
+        const left = Math.random() * 100;
+        const top = Math.random() * 100;
+        const delay = Math.random() * 10;
+        const duration = Math.random() * 10 + 15;
+
+        particle.style.width = `${size}px`;
+        particle.style.height = `${size}px`;
+        particle.style.left = `${left}%`;
+        particle.style.top = `${top}%`;
+        particle.style.animationDelay = `${delay}s`;
+        particle.style.animationDuration = `${duration}s`;
+        particlesContainer.appendChild(particle);
+    }
+}
+
+function setupEventListeners() {
+    const videoSearch = document.getElementById('videoSearch');
+    const sortOptions = document.getElementById('sortOptions');
+    const filterOptions = document.getElementById('filterOptions');
+    const clearSearchBtn = document.getElementById('clearSearchBtn');
+    const clearAllFilters = document.getElementById('clearAllFilters');
+    const prevBtn = document.getElementById('prevBtn');
+    const nextBtn = document.getElementById('nextBtn');
+    const addCustomVideoBtn = document.getElementById('addCustomVideo');
+    const customVideoUrl = document.getElementById('customVideoUrl');
+    const platformTabs = document.querySelectorAll('.platform-tab');
+    const videoList = document.getElementById('videoList');
+    const exportBtn = document.getElementById('exportBtn');
+
+    if (!videoSearch || !sortOptions || !filterOptions) {
+        console.warn('Some required elements not found');
+        return;
+    }
+
+    // Search with debouncing
+    const debouncedSearch = PerformanceUtils.debounce((query) => {
+        videoManager.currentSearchTerm = query;
+        videoManager.applyFiltersAndSearch();
+        if (query) {
+            videoManager.showNotification(`Searching for "${query}"`, 'info');
+        }
+    }, CONFIG.SEARCH.DEBOUNCE_DELAY);
+
+    videoSearch.addEventListener('input', (e) => {
+        debouncedSearch(e.target.value);
+    });
+
+    // Sort and filter changes
+    sortOptions.addEventListener('change', (e) => {
+        videoManager.currentSortOption = e.target.value;
+        videoManager.applyFiltersAndSearch();
+        videoManager.showNotification(`Sorted by: ${e.target.options[e.target.selectedIndex].text}`, 'success');
+        if (videoManager.activePlaylistId && !videoManager.canReorderPlaylist()) {
+            videoManager.showNotification('Switch to the default sort to drag videos into a new playlist order', 'info');
+        }
+    });
+
+    filterOptions.addEventListener('change', (e) => {
+        videoManager.currentFilters.platform = e.target.value;
+        videoManager.currentPlatform = e.target.value;
+        videoManager.applyFiltersAndSearch();
+        videoManager.showNotification(`Filtered by: ${e.target.value}`, 'success');
+    });
+
+    // Platform tabs
+    platformTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.platform-tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            const platform = tab.dataset.platform;
+            
+            videoManager.currentPlatform = platform;
+            videoManager.currentFilters.platform = platform;
+            if (filterOptions) filterOptions.value = platform;
+            
+            videoManager.applyFiltersAndSearch();
+            videoManager.showNotification(`Showing ${platform} videos`, 'success');
+        });
+    });
+
+    // Clear actions
+    if (clearSearchBtn) {
+        clearSearchBtn.addEventListener('click', () => {
+            videoSearch.value = '';
+            videoManager.currentSearchTerm = '';
+            videoManager.applyFiltersAndSearch();
+            videoManager.showNotification('Search cleared', 'info');
+        });
+    }
+
+    if (clearAllFilters) {
+        clearAllFilters.addEventListener('click', () => {
+            videoManager.clearAllFilters();
+            videoManager.showNotification('All filters cleared', 'success');
+        });
+    }
+
+    // Advanced search panel
+    const advancedPanel = document.getElementById('advancedSearchPanel');
+    const advancedToggle = document.getElementById('advancedSearchToggle');
+    const applyAdvancedFilters = document.getElementById('applyAdvancedFilters');
+
+    if (advancedPanel && advancedToggle) {
+        advancedToggle.addEventListener('click', () => {
+            const open = advancedPanel.classList.toggle('active');
+            advancedToggle.setAttribute('aria-expanded', String(open));
+            if (open) videoManager.syncControlsWithState();
+        });
+    }
+
+    if (applyAdvancedFilters) {
+        applyAdvancedFilters.addEventListener('click', () => {
+            videoManager.readAdvancedFilters();
+            if (advancedPanel) advancedPanel.classList.remove('active');
+            if (advancedToggle) advancedToggle.setAttribute('aria-expanded', 'false');
+            videoManager.showNotification(`Filters applied: ${videoManager.filteredVideos.length} videos`, 'success');
+        });
+    }
+
+    // Navigation
+    if (prevBtn) {
+        prevBtn.addEventListener('click', () => {
+            const video = videoManager.prevVideo();
+            if (video) {
+                videoPlayerController.loadVideo(video);
+                videoManager.showNotification(`Now playing: ${video.title}`, 'success');
+            }
+        });
+    }
+
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => {
+            const video = videoManager.nextVideo();
+            if (video) {
+                videoPlayerController.loadVideo(video);
+                videoManager.showNotification(`Now playing: ${video.title}`, 'success');
+            }
+        });
+    }
+
+    // Add custom video
+    if (addCustomVideoBtn && customVideoUrl) {
+        addCustomVideoBtn.addEventListener('click', async () => {
+            const url = customVideoUrl.value.trim();
+            if (!url) {
+                videoManager.showNotification('Please enter a video URL', 'warning');
+                return;
+            }
+
+            const originalButtonText = addCustomVideoBtn.innerHTML;
+            addCustomVideoBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Adding...';
+            addCustomVideoBtn.disabled = true;
+
+            try {
+                const collection = UniversalVideoParser.parseYouTubeCollection(url);
+                // Channels can only be added expanded; playlists may still be kept as one item
+                const expand = collection && (collection.kind === 'channel' || window.confirm(
+                    'Add every video in this playlist as its own entry?\n\nCancel adds the playlist as a single item.'
+                ));
+
+                if (expand) {
+                    const result = await videoManager.importYouTubeCollection(url);
+                    if (result) {
+                        customVideoUrl.value = '';
+                        if (result.playlist) videoManager.setActivePlaylist(result.playlist.id);
+                    }
+                } else {
+                    const video = await videoManager.addCustomVideo(url, { onDuplicate: confirmDuplicateVideo });
+                    if (video) {
+                        customVideoUrl.value = '';
+                        videoPlayerController.loadVideo(video);
+                    }
+                }
+            } finally {
+                addCustomVideoBtn.innerHTML = originalButtonText;
+                addCustomVideoBtn.disabled = false;
+            }
+        });
+
+        customVideoUrl.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                addCustomVideoBtn.click();
+            }
+        });
+    }
+
+    // Export menu
+    const exportMenu = document.getElementById('exportMenu');
+    const exportScope = document.getElementById('exportScope');
+    if (exportBtn && exportMenu) {
+        const closeExportMenu = () => {
+            exportMenu.classList.remove('active');
+            exportBtn.setAttribute('aria-expanded', 'false');
+        };
+
+        exportBtn.addEventListener('click', () => {
+            const open = exportMenu.classList.toggle('active');
+            exportBtn.setAttribute('aria-expanded', String(open));
+            if (open && exportScope) {
+                const playlistOption = exportScope.querySelector('option[value="playlist"]');
+                const activePlaylist = videoManager.getActivePlaylist();
+                playlistOption.disabled = !activePlaylist;
+                playlistOption.textContent = activePlaylist ? `Playlist: ${activePlaylist.name}` : 'Current playlist';
+                if (!activePlaylist && exportScope.value === 'playlist') exportScope.value = 'filtered';
+            }
+        });
+
+        exportMenu.addEventListener('click', (e) => {
+            const formatBtn = e.target.closest('[data-export-format]');
+            if (!formatBtn) return;
+            videoManager.exportVideoList(formatBtn.dataset.exportFormat, exportScope ? exportScope.value : 'filtered');
+            closeExportMenu();
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!exportMenu.contains(e.target) && !exportBtn.contains(e.target)) closeExportMenu();
+        });
+    }
+
+    // Video list click delegation
+    if (videoList) {
+        videoList.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            const videoItem = e.target.closest('.video-item');
+            if (actionBtn && videoItem) {
+                e.stopPropagation();
+                const video = videoManager.allVideos.find(v => v.id === videoItem.dataset.videoId);
+                if (!video) return;
+                if (actionBtn.dataset.action === 'playlist') {
+                    const rect = actionBtn.getBoundingClientRect();
+                    openVideoContextMenu(video, rect.left, rect.bottom);
+                } else if (actionBtn.dataset.action === 'edit') {
+                    openVideoEditor(video);
+                } else if (actionBtn.dataset.action === 'delete') {
+                    confirmDeleteVideo(video);
+                } else if (actionBtn.dataset.action === 'seek') {
+                    videoPlayerController.loadVideo(video, { startAt: Number(actionBtn.dataset.seek) });
+                }
+                return;
+            }
+            if (videoItem) {
+                const videoId = videoItem.dataset.videoId;
+                const video = videoManager.filteredVideos.find(v => v.id === videoId);
+                if (video) {
+                    videoPlayerController.loadVideo(video);
+                    videoManager.showNotification(`Now playing: ${video.title}`, 'success');
+                }
+            }
+        });
+    }
+
+    // Queue mode
+    const queueMode = document.getElementById('queueMode');
+    if (queueMode) {
+        queueMode.value = videoManager.queueMode;
+        queueMode.addEventListener('change', (e) => {
+            videoManager.setQueueMode(e.target.value);
+            videoManager.showNotification(`Playback: ${e.target.options[e.target.selectedIndex].text}`, 'success');
+        });
+    }
+
+    // Continue watching shelf
+    const continueWatching = document.getElementById('continueWatching');
+    if (continueWatching) {
+        continueWatching.addEventListener('click', (e) => {
+            const item = e.target.closest('.continue-item');
+            if (!item) return;
+            const video = videoManager.allVideos.find(v => v.id === item.dataset.videoId);
+            if (video) {
+                videoPlayerController.loadVideo(video);
+                videoManager.showNotification(`Now playing: ${video.title}`, 'success');
+            }
+        });
+    }
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+            e.preventDefault();
+            if (videoSearch) {
+                videoSearch.focus();
+                videoSearch.select();
+            }
+        }
+
+        if (e.key === 'Escape') {
+            document.querySelectorAll('.modal-overlay.active').forEach(modal => modal.classList.remove('active'));
+            closeVideoContextMenu();
+            if (videoSearch && document.activeElement === videoSearch) {
+                videoSearch.value = '';
+                videoManager.currentSearchTerm = '';
+                videoManager.applyFiltersAndSearch();
+            }
+        }
+
+        // Leave arrows and space alone while the user is typing
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        if (prevBtn && e.key === 'ArrowLeft' && !prevBtn.disabled) {
+            prevBtn.click();
+        } else if (nextBtn && e.key === 'ArrowRight' && !nextBtn.disabled) {
+            nextBtn.click();
+        } else if (e.key.toLowerCase() === 'b' && !e.ctrlKey && !e.metaKey && !e.altKey && videoPlayerController) {
+            e.preventDefault();
+            videoPlayerController.startBookmark();
+        } else if (e.key === ' ' && document.querySelector('.video-container video')) {
+            e.preventDefault();
+            const videoElement = document.querySelector('.video-container video');
+            if (videoElement.paused) {
+                videoElement.play();
+            } else {
+                videoElement.pause();
+            }
+        }
+    });
+
+    // Setup lazy loading
+    videoManager.performanceOptimizer.setupLazyLoading();
+
+    // Handle page visibility changes
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            videoManager.performanceOptimizer.cleanup();
+        }
+    });
+}
+
+function setupSearchSuggestions() {
+    const videoSearch = document.getElementById('videoSearch');
+    const list = document.getElementById('searchSuggestions');
+    const loading = document.getElementById('searchLoading');
+    if (!videoSearch || !list) return;
+
+    const icons = { history: 'fa-history', title: 'fa-play-circle', author: 'fa-user', tag: 'fa-tag', platform: 'fa-layer-group' };
+    const labels = { history: 'Recent', title: 'Play', author: 'Author', tag: 'Tag', platform: 'Platform' };
+    let suggestions = [];
+    let activeIndex = -1;
+
+    videoSearch.setAttribute('role', 'combobox');
+    videoSearch.setAttribute('aria-autocomplete', 'list');
+    videoSearch.setAttribute('aria-expanded', 'false');
+    videoSearch.setAttribute('aria-controls', 'searchSuggestions');
+    list.setAttribute('role', 'listbox');
+
+    const close = () => {
+        suggestions = [];
+        activeIndex = -1;
+        list.classList.remove('active');
+        list.innerHTML = '';
+        videoSearch.setAttribute('aria-expanded', 'false');
+        videoSearch.removeAttribute('aria-activedescendant');
+    };
+
+    const setActive = (index) => {
+        activeIndex = index;
+        list.querySelectorAll('.suggestion-item').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+        if (index === -1) {
+            videoSearch.removeAttribute('aria-activedescendant');
+        } else {
+            videoSearch.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+            list.children[index].scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    const open = () => {
+        suggestions = videoManager.getSearchSuggestions(videoSearch.value);
+        if (suggestions.length === 0) {
+            close();
+            return;
+        }
+
+        list.innerHTML = suggestions.map((suggestion, index) => `
+            <div class="suggestion-item" id="search-suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+                <i class="fas ${icons[suggestion.type]}"></i>
+                <span class="suggestion-text">${videoManager.escapeHtml(suggestion.text)}</span>
+                <span class="suggestion-type">${labels[suggestion.type]}</span>
+            </div>
+        `).join('');
+        list.classList.add('active');
+        videoSearch.setAttribute('aria-expanded', 'true');
+        setActive(-1);
+    };
+
+    const runSearch = (term) => {
+        videoSearch.value = term;
+        videoManager.currentSearchTerm = term;
+        videoManager.addToSearchHistory(term);
+        videoManager.applyFiltersAndSearch();
+    };
+
+    const select = (suggestion) => {
+        close();
+        const quote = (value) => /\s/.test(value) ? `"${value}"` : value;
+
+        switch (suggestion.type) {
+            case 'title':
+                videoManager.addToSearchHistory(videoSearch.value.trim());
+                videoPlayerController.loadVideo(suggestion.video);
+                videoManager.showNotification(`Now playing: ${suggestion.video.title}`, 'success');
+                break;
+            case 'history':
+                runSearch(suggestion.text);
+                break;
+            case 'author':
+                runSearch(videoManager.replaceSearchText(`author:${quote(suggestion.text)}`));
+                break;
+            case 'tag':
+                runSearch(videoManager.replaceSearchText(`tag:${quote(suggestion.text)}`));
+                break;
+            case 'platform':
+                videoManager.currentFilters.platform = suggestion.platform;
+                videoManager.currentPlatform = suggestion.platform;
+                runSearch(videoManager.replaceSearchText(''));
+                videoManager.syncControlsWithState();
+                break;
+        }
+    };
 
-        videoElement.addEventListener('seeked', () => {
-            this.videoManager.analytics.trackVideoEvent('seek', video);
-        });
+    const refresh = PerformanceUtils.debounce(() => {
+        if (loading) loading.classList.remove('active');
+        if (document.activeElement === videoSearch) open();
+    }, CONFIG.SEARCH.DEBOUNCE_DELAY);
 
-        const source = document.createElement('source');
-        source.src = url;
-        source.type = this.getVideoMimeType(url);
-        
-        videoElement.appendChild(source);
-        videoContainer.appendChild(videoElement);
-        
-        // Update UI
-        this.currentVideoTitle.textContent = video.title;
-        this.currentVideoDescription.textContent = video.description;
-        this.currentPlatformBadge.className = 'platform-badge badge-direct';
-        this.currentPlatformBadge.textContent = 'Direct Video';
-        
-        this.videoManager.showNotification('Loaded direct video file', 'success');
-    }
+    videoSearch.addEventListener('input', () => {
+        if (loading) loading.classList.add('active');
+        refresh();
+    });
 
-    getVideoMimeType(url) {
-        const extension = url.split('.').pop().toLowerCase();
-        const mimeTypes = {
-            'mp4': 'video/mp4',
-            'webm': 'video/webm',
-            'ogg': 'video/ogg',
-            'mov': 'video/quicktime',
-            'mkv': 'video/x-matroska',
-            'flv': 'video/x-flv',
-            'avi': 'video/x-msvideo'
-        };
-        return mimeTypes[extension] || 'video/mp4';
-    }
+    videoSearch.addEventListener('focus', open);
+    videoSearch.addEventListener('blur', close);
+    videoSearch.addEventListener('change', () => videoManager.addToSearchHistory(videoSearch.value.trim()));
 
-    handleEmbedError(video, embedUrls) {
-        this.currentEmbedIndex++;
-        
-        if (this.currentEmbedIndex < embedUrls.length) {
-            this.videoPlayer.src = embedUrls[this.currentEmbedIndex];
-            this.videoManager.showNotification(`Trying alternative embed... (${this.currentEmbedIndex + 1}/${embedUrls.length})`, 'info');
-        } else {
-            this.showFallbackMessage(video);
-            this.videoManager.showNotification('Could not load video with any available method', 'error');
+    videoSearch.addEventListener('keydown', (e) => {
+        const isOpen = list.classList.contains('active');
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!isOpen) {
+                open();
+                return;
+            }
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = activeIndex + step;
+            setActive(next < -1 ? suggestions.length - 1 : next >= suggestions.length ? -1 : next);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (isOpen && activeIndex !== -1) {
+                select(suggestions[activeIndex]);
+            } else {
+                close();
+                runSearch(videoSearch.value.trim());
+            }
+        } else if (e.key === 'Escape' && isOpen) {
+            // First Escape closes the list, the next one clears the search
+            e.stopPropagation();
+            close();
         }
+    });
+
+    // Keep focus in the input while clicking a suggestion
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.suggestion-item');
+        if (item) select(suggestions[Number(item.dataset.index)]);
+    });
+}
+
+function setupImportDialog() {
+    const modal = document.getElementById('importModal');
+    const openBtn = document.getElementById('openImportBtn');
+    const textInput = document.getElementById('importText');
+    const fileInput = document.getElementById('importFile');
+    const previewBtn = document.getElementById('previewImportBtn');
+    const runBtn = document.getElementById('runImportBtn');
+    const preview = document.getElementById('importPreview');
+    const progress = document.getElementById('importProgress');
+    if (!modal || !textInput || !previewBtn || !runBtn || !preview) return;
+
+    let rows = [];
+    let fileName = '';
+    let session = 0;
+
+    const statusLabels = { pending: 'Checking', ready: 'Ready', duplicate: 'Duplicate', error: 'Error', imported: 'Imported', failed: 'Failed' };
+
+    const renderRow = (row) => `
+        <div class="import-row ${row.status}" data-row="${row.line}">
+            <span class="import-row-line">#${row.line}</span>
+            <div>
+                <div class="import-row-title">${videoManager.escapeHtml((row.video && row.video.title) || row.title || row.url || '(empty)')}</div>
+                <div class="import-row-url">${videoManager.escapeHtml(row.url)}</div>
+                ${row.message ? `<div class="import-row-message">${videoManager.escapeHtml(row.message)}</div>` : ''}
+            </div>
+            <span class="import-row-status">${statusLabels[row.status]}</span>
+        </div>
+    `;
+
+    const updateRow = (row) => {
+        const element = preview.querySelector(`[data-row="${row.line}"]`);
+        if (element) element.outerHTML = renderRow(row);
+    };
+
+    const updateSummary = () => {
+        const ready = rows.filter(row => row.status === 'ready').length;
+        const pending = rows.filter(row => row.status === 'pending').length;
+        const skipped = rows.length - ready - pending;
+        runBtn.disabled = ready === 0 || pending > 0;
+        runBtn.innerHTML = `<i class="fas fa-upload"></i> Import ${ready} video${ready !== 1 ? 's' : ''}`;
+        setImportStatus(
+            pending > 0 ? `Checking ${pending} of ${rows.length} entries...` : `${ready} ready, ${skipped} skipped`,
+            pending > 0 ? 'info' : (ready > 0 ? 'success' : 'error')
+        );
+    };
+
+    const setProgress = (done, total) => {
+        progress.classList.toggle('active', total > 0);
+        progress.firstElementChild.style.width = total > 0 ? `${(done / total) * 100}%` : '0%';
+    };
+
+    const reset = () => {
+        session++;
+        rows = [];
+        fileName = '';
+        textInput.value = '';
+        if (fileInput) fileInput.value = '';
+        preview.innerHTML = '';
+        preview.classList.remove('active');
+        runBtn.disabled = true;
+        runBtn.innerHTML = '<i class="fas fa-upload"></i> Import';
+        setProgress(0, 0);
+        setImportStatus('', 'info');
+    };
+
+    if (openBtn) {
+        openBtn.addEventListener('click', () => {
+            if (!videoManager.ensureWritable()) return;
+            reset();
+            modal.classList.add('active');
+            textInput.focus();
+        });
     }
 
-    showFallbackMessage(video = null) {
-        this.fallbackMessage.style.display = 'flex';
-        if (video) {
-            this.setupFallbackOptions(video);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-close-modal]')) {
+            session++;
+            modal.classList.remove('active');
         }
+    });
+
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            fileName = file.name;
+            textInput.value = await file.text();
+            previewBtn.click();
+        });
     }
 
-    setupFallbackOptions(video = null) {
-        const openOriginal = document.getElementById('openOriginal');
-        const downloadVideo = document.getElementById('downloadVideo');
+    textInput.addEventListener('input', () => {
+        fileName = '';
+    });
 
-        if (video && openOriginal && downloadVideo) {
-            openOriginal.onclick = () => {
-                let url;
-                switch (video.type) {
-                    case 'drive':
-                        url = `https://drive.google.com/file/d/${video.videoId}/view?usp=sharing`;
-                        break;
-                    case 'youtube_playlist':
-                        url = `https://www.youtube.com/playlist?list=${video.videoId}`;
-                        break;
-                    case 'youtube':
-                        url = `https://www.youtube.com/watch?v=${video.videoId}`;
-                        break;
-                    default:
-                        url = video.originalUrl || video.url;
-                }
-                window.open(url, '_blank');
-                this.videoManager.showNotification('Opening original video...', 'success');
-            };
+    previewBtn.addEventListener('click', async () => {
+        const currentSession = ++session;
+        try {
+            rows = LibraryImportParser.parse(textInput.value, fileName);
+        } catch (error) {
+            rows = [];
+            preview.classList.remove('active');
+            setImportStatus(error.message, 'error');
+            return;
+        }
 
-            downloadVideo.onclick = () => {
-                let url;
-                if (video.type === 'drive') {
-                    url = `https://drive.google.com/uc?export=download&id=${video.videoId}`;
-                } else if (video.type === 'direct') {
-                    url = video.url;
-                } else {
-                    url = video.originalUrl || video.url;
-                }
-                window.open(url, '_blank');
-                this.videoManager.showNotification('Starting download...', 'success');
-            };
+        if (rows.length === 0) {
+            preview.classList.remove('active');
+            setImportStatus('Nothing to import yet', 'error');
+            return;
         }
-    }
-}
 
-// ==================== SUPPORTING SERVICES ====================
-class AirtableService {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
-        this.baseUrl = `${CONFIG.AIRTABLE.API_URL}/${CONFIG.AIRTABLE.BASE_ID}/${CONFIG.AIRTABLE.TABLE_NAME}`;
-        this.headers = {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-        };
-        this.retryCount = 3;
-        this.retryDelay = 1000;
-        this.cache = new Map();
-    }
+        setProgress(0, 0);
+        preview.innerHTML = rows.map(renderRow).join('');
+        preview.classList.add('active');
+        updateSummary();
+
+        await videoManager.previewImport(rows, (row) => {
+            if (currentSession !== session) return;
+            updateRow(row);
+            updateSummary();
+        });
+    });
+
+    runBtn.addEventListener('click', async () => {
+        const currentSession = session;
+        runBtn.disabled = true;
+        previewBtn.disabled = true;
+        setImportStatus('Importing...', 'info');
+        setProgress(0, 1);
 
-    async handleRequest(url, options, retries = this.retryCount) {
         try {
-            const response = await fetch(url, {
-                ...options,
-                signal: AbortSignal.timeout(15000)
-            });
-            
-            if (!response.ok) {
-                if (response.status === 429 && retries > 0) {
-                    await this.delay(this.retryDelay * 2);
-                    return this.handleRequest(url, options, retries - 1);
-                } else if (response.status >= 500 && retries > 0) {
-                    await this.delay(this.retryDelay);
-                    return this.handleRequest(url, options, retries - 1);
-                }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            return await response.json();
-        } catch (error) {
-            if (retries > 0 && error.name !== 'AbortError') {
-                await this.delay(this.retryDelay);
-                return this.handleRequest(url, options, retries - 1);
-            }
-            throw error;
+            const result = await videoManager.importRows(rows, ({ done, total }) => setProgress(done, total));
+            if (currentSession !== session || !result) return;
+            rows.forEach(updateRow);
+            setImportStatus(
+                `Imported ${result.imported} video${result.imported !== 1 ? 's' : ''}${result.failed ? `, ${result.failed} failed` : ''}`,
+                result.failed ? 'error' : 'success'
+            );
+        } finally {
+            previewBtn.disabled = false;
         }
-    }
+    });
+}
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+function setImportStatus(message, type) {
+    const status = document.getElementById('importStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.className = `settings-status ${message ? type : ''}`;
+}
+
+function setupHealthReport() {
+    const modal = document.getElementById('healthModal');
+    const openBtn = document.getElementById('openHealthBtn');
+    const runBtn = document.getElementById('runHealthScanBtn');
+    const archiveBtn = document.getElementById('healthArchiveBtn');
+    const relinkBtn = document.getElementById('healthRelinkBtn');
+    const summary = document.getElementById('healthSummary');
+    const report = document.getElementById('healthReport');
+    const progress = document.getElementById('healthProgress');
+    const status = document.getElementById('healthStatus');
+    if (!modal || !runBtn || !summary || !report) return;
+
+    // 'problems' shows everything that is not available
+    let activeFilter = 'problems';
+
+    const setStatus = (message, type) => {
+        status.textContent = message;
+        status.className = `settings-status ${message ? type : ''}`;
+    };
+
+    const setProgress = (done, total) => {
+        progress.classList.toggle('active', total > 0);
+        progress.firstElementChild.style.width = total > 0 ? `${(done / total) * 100}%` : '0%';
+    };
+
+    const getSelectedIds = () => Array.from(report.querySelectorAll('[data-health-select]:checked')).map(input => input.value);
+
+    const updateActions = () => {
+        const count = getSelectedIds().length;
+        archiveBtn.disabled = count === 0 || videoManager.isReadOnly();
+        relinkBtn.disabled = count === 0 || videoManager.isReadOnly();
+        archiveBtn.innerHTML = `<i class="fas fa-archive"></i> Archive${count ? ` ${count}` : ' selected'}`;
+    };
+
+    const render = () => {
+        const rows = videoManager.getHealthReportRows();
+        const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+        const problems = rows.filter(row => row.status !== 'ok').length;
+
+        summary.innerHTML = [
+            `<button class="health-chip ${activeFilter === 'problems' ? 'active' : ''}" data-health-filter="problems">Problems (${problems})</button>`,
+            ...Object.entries(CONFIG.HEALTH.STATUSES).map(([key, label]) =>
+                `<button class="health-chip ${key} ${activeFilter === key ? 'active' : ''}" data-health-filter="${key}">${label} (${counts[key] || 0})</button>`
+            )
+        ].join('');
+
+        const visible = rows.filter(row => activeFilter === 'problems' ? row.status !== 'ok' : row.status === activeFilter);
+        report.classList.toggle('active', rows.length > 0);
+        report.innerHTML = visible.length === 0
+            ? `<div class="health-empty">${rows.length === 0 ? 'No scan results yet' : 'Nothing in this group'}</div>`
+            : visible.map(row => `
+                <label class="import-row health-row ${row.status}">
+                    <input type="checkbox" data-health-select value="${videoManager.escapeAttribute(row.video.id)}">
+                    <div>
+                        <div class="import-row-title">${videoManager.escapeHtml(row.video.title)}</div>
+                        <div class="import-row-url">${videoManager.escapeHtml(row.video.type)}${row.video.lastChecked
+                            ? ` &middot; checked ${new Date(row.video.lastChecked).toLocaleString()}` : ''}</div>
+                        ${row.detail ? `<div class="import-row-message">${videoManager.escapeHtml(row.detail)}</div>` : ''}
+                    </div>
+                    <span class="import-row-status">${CONFIG.HEALTH.STATUSES[row.status] || row.status}</span>
+                </label>
+            `).join('');
+        updateActions();
+    };
+
+    if (openBtn) {
+        openBtn.addEventListener('click', () => {
+            render();
+            const { checkedAt } = videoManager.healthReport || {};
+            setStatus(checkedAt ? `Last scan ${new Date(checkedAt).toLocaleString()}` : '', 'info');
+            modal.classList.add('active');
+            runBtn.focus();
+        });
     }
 
-    async getAllVideos() {
-        const cacheKey = 'all-videos';
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-close-modal]')) {
+            modal.classList.remove('active');
         }
+    });
+
+    summary.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-health-filter]');
+        if (!chip) return;
+        activeFilter = chip.dataset.healthFilter;
+        render();
+    });
+
+    report.addEventListener('change', (e) => {
+        if (e.target.matches('[data-health-select]')) updateActions();
+    });
+
+    runBtn.addEventListener('click', async () => {
+        runBtn.disabled = true;
+        setStatus(`Checking ${videoManager.allVideos.length} videos...`, 'info');
+        setProgress(0, 1);
 
         try {
-            const data = await this.handleRequest(this.baseUrl, {
-                method: 'GET',
-                headers: this.headers
+            const result = await videoManager.runHealthScan({
+                onProgress: ({ done, total }) => {
+                    setProgress(done, total);
+                    setStatus(`Checked ${done} of ${total} videos...`, 'info');
+                }
             });
+            if (!result) return;
+            const problems = result.results.filter(row => row.status !== 'ok').length;
+            setStatus(
+                problems > 0 ? `${problems} of ${result.results.length} videos need attention` : 'Every video is available',
+                problems > 0 ? 'error' : 'success'
+            );
+            render();
+        } catch (error) {
+            console.error('Health scan failed:', error);
+            setStatus('Health scan failed: ' + error.message, 'error');
+        } finally {
+            runBtn.disabled = false;
+            setProgress(0, 0);
+        }
+    });
 
-            if (!data.records || !Array.isArray(data.records)) {
-                throw new Error('Invalid Airtable response format');
-            }
+    archiveBtn.addEventListener('click', async () => {
+        const ids = getSelectedIds();
+        if (ids.length === 0) return;
+        if (!window.confirm(`Archive ${ids.length} video${ids.length !== 1 ? 's' : ''}? They will be hidden from the library.`)) return;
+        await videoManager.archiveVideos(ids);
+        render();
+    });
 
-            const videos = data.records.map(record => ({
-                id: record.id,
-                videoId: record.fields.videoId || record.id,
-                title: record.fields.title || '',
-                description: record.fields.description || '',
-                type: record.fields.type || 'other',
-                duration: record.fields.duration || '--:--',
-                url: record.fields.url || '',
-                embedUrls: record.fields.embedUrls || [record.fields.url || ''],
-                thumbnail: record.fields.thumbnail || null,
-                createdAt: record.fields.createdAt || new Date().toISOString(),
-                status: record.fields.status || 'active',
-                viewCount: record.fields.viewCount || 0,
-                tags: record.fields.tags || [],
-                category: record.fields.category || 'general',
-                author: record.fields.author || ''
-            })).filter(video => video.status !== 'inactive');
+    // Re-linking needs a new URL per video, so selected rows are asked for one at a time
+    relinkBtn.addEventListener('click', async () => {
+        for (const id of getSelectedIds()) {
+            const video = videoManager.allVideos.find(v => v.id === id);
+            if (!video) continue;
+            const url = window.prompt(`New URL for "${video.title}" (leave empty to skip):`);
+            if (url === null) break;
+            if (url.trim()) await videoManager.relinkVideo(id, url.trim());
+        }
+        render();
+    });
+}
 
-            this.cache.set(cacheKey, videos);
-            setTimeout(() => this.cache.delete(cacheKey), CONFIG.SEARCH.CACHE_DURATION);
-            
-            return videos;
-        } catch (error) {
-            console.error('Error fetching videos from Airtable:', error);
-            throw new Error('Failed to load videos from cloud storage');
+function setupVideoEditor() {
+    const modal = document.getElementById('editVideoModal');
+    const form = document.getElementById('editVideoForm');
+    const archiveBtn = document.getElementById('archiveVideoBtn');
+    const deleteBtn = document.getElementById('deleteVideoBtn');
+
+    if (!modal || !form) return;
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-close-modal]')) {
+            closeVideoEditor();
         }
-    }
+    });
 
-    async addVideo(video) {
-        try {
-            const record = {
-                fields: {
-                    videoId: video.id,
-                    title: video.title,
-                    description: video.description,
-                    type: video.type,
-                    duration: video.duration || '--:--',
-                    url: video.url,
-                    thumbnail: video.thumbnail || '',
-                    createdAt: new Date().toISOString(),
-                    status: 'active',
-                    viewCount: video.viewCount || 0,
-                    tags: video.tags || [],
-                    category: video.category || 'general',
-                    author: video.author || '',
-                    uploadDate: video.uploadDate || ''
-                }
-            };
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const videoId = modal.dataset.videoId;
+        const title = document.getElementById('editVideoTitle').value.trim();
+        if (!title) {
+            videoManager.showNotification('Title cannot be empty', 'warning');
+            return;
+        }
 
-            const data = await this.handleRequest(this.baseUrl, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify({ records: [record] })
-            });
+        const changes = {
+            title,
+            description: document.getElementById('editVideoDescription').value.trim(),
+            category: document.getElementById('editVideoCategory').value.trim() || 'general',
+            tags: document.getElementById('editVideoTags').value
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(Boolean)
+        };
 
-            if (!data.records || data.records.length === 0) {
-                throw new Error('No record returned from Airtable');
-            }
+        // Only touch subtitles when there are some, so bases without the column keep saving
+        const subtitles = SubtitleTracks.parseList(document.getElementById('editVideoSubtitles').value);
+        const video = videoManager.allVideos.find(v => v.id === videoId);
+        if (subtitles.length > 0 || (video && SubtitleTracks.normalize(video.subtitles).length > 0)) {
+            changes.subtitles = subtitles;
+        }
+        const transcript = document.getElementById('editVideoTranscript').value.trim();
+        if (transcript || (video && video.transcript)) {
+            changes.transcript = transcript;
+        }
 
-            this.clearCache();
-            const createdRecord = data.records[0];
-            return {
-                id: createdRecord.id,
-                videoId: createdRecord.fields.videoId,
-                title: createdRecord.fields.title,
-                description: createdRecord.fields.description,
-                type: createdRecord.fields.type,
-                duration: createdRecord.fields.duration,
-                url: createdRecord.fields.url,
-                embedUrls: createdRecord.fields.embedUrls || [createdRecord.fields.url],
-                thumbnail: createdRecord.fields.thumbnail,
-                createdAt: createdRecord.fields.createdAt,
-                status: createdRecord.fields.status,
-                viewCount: createdRecord.fields.viewCount || 0,
-                tags: createdRecord.fields.tags || [],
-                category: createdRecord.fields.category || 'general',
-                author: createdRecord.fields.author || '',
-                uploadDate: createdRecord.fields.uploadDate || ''
-            };
-        } catch (error) {
-            console.error('Error adding video to Airtable:', error);
-            throw error;
+        closeVideoEditor();
+        const updated = await videoManager.updateVideo(videoId, changes);
+        if (updated && updated.id === videoManager.currentVideoId && videoPlayerController) {
+            videoPlayerController.currentVideoTitle.textContent = updated.title;
+            videoPlayerController.currentVideoDescription.textContent = updated.description;
+            videoPlayerController.renderTranscript(updated);
         }
+    });
+
+    if (archiveBtn) {
+        archiveBtn.addEventListener('click', async () => {
+            const videoId = modal.dataset.videoId;
+            closeVideoEditor();
+            await videoManager.archiveVideo(videoId);
+        });
     }
 
-    clearCache() {
-        this.cache.clear();
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            const video = videoManager.allVideos.find(v => v.id === modal.dataset.videoId);
+            closeVideoEditor();
+            if (video) confirmDeleteVideo(video);
+        });
     }
 }
 
-class SearchService {
-    constructor(airtableService) {
-        this.airtableService = airtableService;
-        this.searchIndex = new Map();
-        this.suggestionCache = new Map();
+function openVideoEditor(video) {
+    const modal = document.getElementById('editVideoModal');
+    if (!modal) return;
+
+    modal.dataset.videoId = video.id;
+    document.getElementById('editVideoTitle').value = video.title || '';
+    document.getElementById('editVideoDescription').value = video.description || '';
+    document.getElementById('editVideoCategory').value = video.category || '';
+    document.getElementById('editVideoTags').value = (video.tags || []).join(', ');
+    document.getElementById('editVideoSubtitles').value = SubtitleTracks.formatList(video.subtitles);
+    document.getElementById('editVideoTranscript').value = video.transcript || '';
+    modal.classList.add('active');
+    document.getElementById('editVideoTitle').focus();
+}
+
+function closeVideoEditor() {
+    const modal = document.getElementById('editVideoModal');
+    if (modal) modal.classList.remove('active');
+}
+
+// Resolves to 'add', 'open' or 'cancel'; closing the dialog any other way counts as cancel
+function confirmDuplicateVideo(candidate, existing) {
+    const modal = document.getElementById('duplicateModal');
+    if (!modal) return Promise.resolve(window.confirm(`"${existing.title}" is already in your library. Add it anyway?`) ? 'add' : 'cancel');
+
+    document.getElementById('duplicateMessage').textContent =
+        `"${candidate.title}" looks like a video that is already in your library:`;
+    document.getElementById('duplicateExisting').innerHTML = `
+        ${existing.thumbnail ? `<img src="${videoManager.escapeAttribute(existing.thumbnail)}" alt="" loading="lazy">` : ''}
+        <div>
+            <div class="duplicate-existing-title">${videoManager.escapeHtml(existing.title)}</div>
+            <div class="duplicate-existing-meta">${videoManager.escapeHtml(existing.type)} &middot; added ${new Date(existing.createdAt).toLocaleDateString()}</div>
+        </div>
+    `;
+
+    return new Promise(resolve => {
+        const finish = (choice) => {
+            modal.classList.remove('active');
+            modal.removeEventListener('click', onClick);
+            document.removeEventListener('keydown', onKeyDown);
+            resolve(choice);
+        };
+        const onClick = (e) => {
+            const choiceBtn = e.target.closest('[data-duplicate-choice]');
+            if (choiceBtn) finish(choiceBtn.dataset.duplicateChoice);
+            else if (e.target === modal || e.target.closest('[data-close-modal]')) finish('cancel');
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') finish('cancel');
+        };
+
+        modal.addEventListener('click', onClick);
+        document.addEventListener('keydown', onKeyDown);
+        modal.classList.add('active');
+        modal.querySelector('[data-duplicate-choice="open"]').focus();
+    });
+}
+
+async function confirmDeleteVideo(video) {
+    if (!window.confirm(`Delete "${video.title}" permanently? Use Archive to hide it instead.`)) return;
+    await videoManager.deleteVideo(video.id);
+}
+
+function setupPlaylistControls() {
+    const selector = document.getElementById('activePlaylist');
+    const newBtn = document.getElementById('newPlaylistBtn');
+    const renameBtn = document.getElementById('renamePlaylistBtn');
+    const deleteBtn = document.getElementById('deletePlaylistBtn');
+    const syncBtn = document.getElementById('syncPlaylistBtn');
+    const videoList = document.getElementById('videoList');
+    const menu = document.getElementById('videoContextMenu');
+
+    if (selector) {
+        selector.addEventListener('change', (e) => videoManager.setActivePlaylist(e.target.value));
     }
 
-    async buildSearchIndex(videos) {
-        this.searchIndex.clear();
-        videos.forEach(video => {
-            const searchableText = CONFIG.SEARCH.SEARCH_FIELDS
-                .map(field => String(video[field] || '').toLowerCase())
-                .join(' ');
-            
-            const words = this.tokenize(searchableText);
-            words.forEach(word => {
-                if (!this.searchIndex.has(word)) this.searchIndex.set(word, new Set());
-                this.searchIndex.get(word).add(video.id);
-            });
+    if (newBtn) {
+        newBtn.addEventListener('click', async () => {
+            const name = window.prompt('Playlist name:');
+            if (!name || !name.trim()) return;
+            const playlist = await videoManager.createPlaylist(name.trim());
+            if (playlist) videoManager.setActivePlaylist(playlist.id);
         });
     }
 
-    tokenize(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s]/g, '')
-            .split(/\s+/)
-            .filter(word => word.length > 2);
+    if (renameBtn) {
+        renameBtn.addEventListener('click', () => {
+            const playlist = videoManager.getActivePlaylist();
+            if (!playlist) return;
+            const name = window.prompt('Rename playlist:', playlist.name);
+            if (!name || !name.trim() || name.trim() === playlist.name) return;
+            videoManager.renamePlaylist(playlist.id, name.trim());
+        });
+    }
+
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            const playlist = videoManager.getActivePlaylist();
+            if (!playlist) return;
+            if (!window.confirm(`Delete playlist "${playlist.name}"? The videos stay in your library.`)) return;
+            videoManager.deletePlaylist(playlist.id);
+        });
+    }
+
+    if (syncBtn) {
+        syncBtn.addEventListener('click', async () => {
+            const playlist = videoManager.getActivePlaylist();
+            if (!playlist) return;
+            syncBtn.disabled = true;
+            syncBtn.classList.add('syncing');
+            try {
+                await videoManager.syncPlaylist(playlist.id);
+            } finally {
+                syncBtn.disabled = false;
+                syncBtn.classList.remove('syncing');
+            }
+        });
     }
 
-    getSuggestions(query, videos, maxResults = CONFIG.SEARCH.MAX_SUGGESTIONS) {
-        if (query.length < CONFIG.SEARCH.MIN_SEARCH_LENGTH) return [];
-        const cacheKey = `suggestions-${query}`;
-        if (this.suggestionCache.has(cacheKey)) return this.suggestionCache.get(cacheKey);
+    if (videoList) {
+        videoList.addEventListener('contextmenu', (e) => {
+            const videoItem = e.target.closest('.video-item');
+            if (!videoItem) return;
+            const video = videoManager.allVideos.find(v => v.id === videoItem.dataset.videoId);
+            if (!video) return;
+            e.preventDefault();
+            openVideoContextMenu(video, e.clientX, e.clientY);
+        });
+
+        // Drag-and-drop reordering is only available while a playlist is shown in its own order
+        let draggedId = null;
+
+        videoList.addEventListener('dragstart', (e) => {
+            const videoItem = e.target.closest('.video-item');
+            if (!videoItem || !videoManager.canReorderPlaylist()) return;
+            draggedId = videoItem.dataset.videoId;
+            videoItem.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+        });
+
+        videoList.addEventListener('dragover', (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+            videoList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            const target = e.target.closest('.video-item');
+            if (target && target.dataset.videoId !== draggedId) target.classList.add('drop-target');
+        });
+
+        videoList.addEventListener('drop', (e) => {
+            if (!draggedId) return;
+            e.preventDefault();
+            const target = e.target.closest('.video-item');
+            const beforeId = target ? target.dataset.videoId : null;
+            videoManager.movePlaylistVideo(videoManager.activePlaylistId, draggedId, beforeId);
+        });
 
-        const suggestions = [];
-        const queryLower = query.toLowerCase();
+        videoList.addEventListener('dragend', () => {
+            draggedId = null;
+            videoList.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        });
+    }
 
-        // Title matches
-        videos.forEach(video => {
-            if (video.title.toLowerCase().includes(queryLower)) {
-                suggestions.push({ type: 'title', text: video.title, video: video });
+    if (menu) {
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('[data-menu-action]');
+            if (!item) return;
+            const videoId = menu.dataset.videoId;
+            const { menuAction, playlistId } = item.dataset;
+            closeVideoContextMenu();
+
+            if (menuAction === 'add') {
+                videoManager.addToPlaylist(playlistId, videoId);
+            } else if (menuAction === 'remove') {
+                videoManager.removeFromPlaylist(playlistId, videoId);
+            } else if (menuAction === 'new') {
+                const name = window.prompt('Playlist name:');
+                if (name && name.trim()) await videoManager.createPlaylist(name.trim(), [videoId]);
+            } else if (menuAction === 'expand') {
+                // Stored playlist items keep the list id as "playlist-<id>"
+                const video = videoManager.allVideos.find(v => v.id === videoId);
+                const listId = video ? String(video.videoId).replace(/^playlist-/, '') : '';
+                if (listId) await videoManager.importYouTubeCollection(`https://www.youtube.com/playlist?list=${listId}`);
             }
         });
 
-        // Platform matches
-        const platforms = ['youtube', 'drive', 'vimeo', 'dailymotion', 'facebook', 'instagram', 'tiktok', 'twitter', 'twitch', 'streamable', 'dropbox', 'photos'];
-        platforms.forEach(platform => {
-            if (platform.includes(queryLower)) {
-                suggestions.push({ type: 'platform', text: `${platform.charAt(0).toUpperCase() + platform.slice(1)} Videos`, platform: platform });
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target) && !e.target.closest('[data-action="playlist"]')) {
+                closeVideoContextMenu();
             }
         });
-
-        const limitedSuggestions = suggestions.slice(0, maxResults);
-        this.suggestionCache.set(cacheKey, limitedSuggestions);
-        return limitedSuggestions;
-    }
-
-    clearSuggestionCache() {
-        this.suggestionCache.clear();
+        window.addEventListener('scroll', closeVideoContextMenu, { passive: true });
     }
 }
 
-// ==================== APPLICATION INITIALIZATION ====================
-let videoManager;
-let videoPlayerController;
+function openVideoContextMenu(video, x, y) {
+    const menu = document.getElementById('videoContextMenu');
+    if (!menu) return;
+
+    const activePlaylist = videoManager.getActivePlaylist();
+    const items = videoManager.playlists
+        .filter(playlist => playlist.id !== videoManager.activePlaylistId)
+        .map(playlist => `
+            <button class="context-menu-item" data-menu-action="add" data-playlist-id="${playlist.id}" ${playlist.videoIds.includes(video.id) ? 'disabled' : ''}>
+                <i class="fas fa-plus"></i> Add to ${videoManager.escapeHtml(playlist.name)}
+            </button>
+        `);
+
+    if (activePlaylist) {
+        items.unshift(`
+            <button class="context-menu-item" data-menu-action="remove" data-playlist-id="${activePlaylist.id}">
+                <i class="fas fa-minus"></i> Remove from ${videoManager.escapeHtml(activePlaylist.name)}
+            </button>
+        `);
+    }
+
+    items.push(`
+        <button class="context-menu-item" data-menu-action="new">
+            <i class="fas fa-folder-plus"></i> New playlist with this video
+        </button>
+    `);
+
+    if (video.type === 'youtube_playlist') {
+        items.push(`
+            <button class="context-menu-item" data-menu-action="expand">
+                <i class="fas fa-list-ol"></i> Expand into individual videos
+            </button>
+        `);
+    }
+
+    menu.innerHTML = `<div class="context-menu-title">${videoManager.escapeHtml(video.title)}</div>${items.join('')}`;
+    menu.dataset.videoId = video.id;
+    menu.classList.add('active');
+
+    const { offsetWidth, offsetHeight } = menu;
+    menu.style.left = `${Math.min(x, window.innerWidth - offsetWidth - 8)}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - offsetHeight - 8)}px`;
+}
 
-function createFloatingParticles() {
-    const particlesContainer = document.getElementById('floatingParticles');
-    if (!particlesContainer) return;
-    
-    const particleCount = 20; // Reduced for better performance
+function closeVideoContextMenu() {
+    const menu = document.getElementById('videoContextMenu');
+    if (menu) menu.classList.remove('active');
+}
 
-    for (let i = 0; i < particleCount; i++) {
-        const particle = document.createElement('div');
-        particle.classList.add('particle');
-        const size = Math.random() * 80 + 20;
-        const left = Math.random() * 100;
-        const top = Math.random() * 100;
-        const delay = Math.random() * 10;
-        const duration = Math.random() * 10 + 15;
+async function restoreSettings() {
+    const store = videoManager.credentialStore;
 
-        particle.style.width = `${size}px`;
-        particle.style.height = `${size}px`;
-        particle.style.left = `${left}%`;
-        particle.style.top = `${top}%`;
-        particle.style.animationDelay = `${delay}s`;
-        particle.style.animationDuration = `${duration}s`;
-        particlesContainer.appendChild(particle);
+    if (store.isEncrypted()) {
+        openSettingsPanel({ unlock: true });
+        videoManager.showNotification('Enter your passphrase to unlock saved settings', 'info');
+        return false;
     }
-}
 
-function setupEventListeners() {
-    const videoSearch = document.getElementById('videoSearch');
-    const sortOptions = document.getElementById('sortOptions');
-    const filterOptions = document.getElementById('filterOptions');
-    const clearSearchBtn = document.getElementById('clearSearchBtn');
-    const clearAllFilters = document.getElementById('clearAllFilters');
-    const prevBtn = document.getElementById('prevBtn');
-    const nextBtn = document.getElementById('nextBtn');
-    const addCustomVideoBtn = document.getElementById('addCustomVideo');
-    const customVideoUrl = document.getElementById('customVideoUrl');
-    const platformTabs = document.querySelectorAll('.platform-tab');
-    const videoList = document.getElementById('videoList');
-    const exportBtn = document.getElementById('exportBtn');
+    const saved = await store.load();
+    if (saved) {
+        videoManager.settings = saved;
+        videoManager.services.repository = videoManager.createRepository(saved);
+        videoManager.bindOfflineQueue();
+        videoManager.searchService = new SearchService(videoManager.services.repository);
+        document.body.classList.toggle('read-only', videoManager.isReadOnly());
+    }
 
-    if (!videoSearch || !sortOptions || !filterOptions) {
-        console.warn('Some required elements not found');
-        return;
+    if (!videoManager.isConfigured()) {
+        openSettingsPanel();
+        videoManager.showNotification('Configure your video library to get started', 'info');
+        return false;
     }
+    return true;
+}
 
-    // Search with debouncing
-    const debouncedSearch = PerformanceUtils.debounce((query) => {
-        videoManager.currentSearchTerm = query;
-        videoManager.addToSearchHistory(query);
-        videoManager.applyFiltersAndSearch();
-        if (query) {
-            videoManager.showNotification(`Searching for "${query}"`, 'info');
-        }
-    }, CONFIG.SEARCH.DEBOUNCE_DELAY);
+// Lists changes still waiting to sync and the ones the backend refused, which can be
+// retried (say, after adding a missing field) or dropped
+function setupSyncReview() {
+    const modal = document.getElementById('syncModal');
+    const indicator = document.getElementById('connectionStatus');
+    const list = document.getElementById('syncChanges');
+    const status = document.getElementById('syncStatus');
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    if (!modal || !indicator || !list) return;
+
+    const describe = (op) => {
+        const video = videoManager.allVideos.find(v => v.id === op.videoId);
+        const title = (op.kind === 'add' ? op.data && op.data.title : video && video.title) || 'Untitled video';
+        const fields = op.kind === 'add' ? 'New video' : `Edited ${Object.keys(op.changes || {}).join(', ')}`;
+        return { title, fields };
+    };
+
+    const render = () => {
+        const { operations, rejected } = videoManager.offlineQueue;
+        const rows = [
+            ...rejected.map(op => ({ op, rejected: true })),
+            ...operations.map(op => ({ op, rejected: false }))
+        ];
 
-    videoSearch.addEventListener('input', (e) => {
-        debouncedSearch(e.target.value);
+        status.textContent = navigator.onLine ? '' : 'You are offline; changes will sync when you reconnect';
+        status.className = `settings-status ${navigator.onLine ? '' : 'info'}`;
+        syncNowBtn.disabled = operations.length === 0 || !navigator.onLine;
+        list.classList.add('active');
+        list.innerHTML = rows.length === 0
+            ? '<div class="health-empty">Everything is synced</div>'
+            : rows.map(({ op, rejected: isRejected }) => {
+                const { title, fields } = describe(op);
+                return `
+                    <div class="import-row sync-row ${isRejected ? 'rejected' : ''}">
+                        <i class="fas ${isRejected ? 'fa-exclamation-triangle' : 'fa-clock'}"></i>
+                        <div>
+                            <div class="import-row-title">${videoManager.escapeHtml(title)}</div>
+                            <div class="import-row-url">${videoManager.escapeHtml(fields)} &middot; ${new Date(op.queuedAt).toLocaleString()}</div>
+                            ${isRejected ? `<div class="import-row-message">${videoManager.escapeHtml(op.error || 'Rejected')}</div>` : ''}
+                        </div>
+                        <span class="import-row-status">${isRejected ? `
+                            <button type="button" class="secondary-btn" data-sync-retry="${videoManager.escapeAttribute(op.id)}">Retry</button>
+                            <button type="button" class="danger-btn" data-sync-discard="${videoManager.escapeAttribute(op.id)}">Discard</button>
+                        ` : 'Waiting'}</span>
+                    </div>
+                `;
+            }).join('');
+    };
+
+    indicator.addEventListener('click', () => {
+        render();
+        modal.classList.add('active');
     });
 
-    // Sort and filter changes
-    sortOptions.addEventListener('change', (e) => {
-        videoManager.currentSortOption = e.target.value;
-        videoManager.applyFiltersAndSearch();
-        videoManager.showNotification(`Sorted by: ${e.target.options[e.target.selectedIndex].text}`, 'success');
+    modal.addEventListener('click', async (e) => {
+        if (e.target === modal || e.target.closest('[data-close-modal]')) {
+            modal.classList.remove('active');
+            return;
+        }
+        const retryBtn = e.target.closest('[data-sync-retry]');
+        const discardBtn = e.target.closest('[data-sync-discard]');
+        if (retryBtn) {
+            await videoManager.retryRejectedChange(retryBtn.dataset.syncRetry);
+            render();
+        } else if (discardBtn) {
+            await videoManager.discardRejectedChange(discardBtn.dataset.syncDiscard);
+            render();
+        }
     });
 
-    filterOptions.addEventListener('change', (e) => {
-        videoManager.currentFilters.platform = e.target.value;
-        videoManager.currentPlatform = e.target.value;
-        videoManager.applyFiltersAndSearch();
-        videoManager.showNotification(`Filtered by: ${e.target.value}`, 'success');
+    syncNowBtn.addEventListener('click', async () => {
+        syncNowBtn.disabled = true;
+        await videoManager.syncOfflineChanges();
+        render();
     });
+}
 
-    // Platform tabs
-    platformTabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            document.querySelectorAll('.platform-tab').forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
-            const platform = tab.dataset.platform;
-            
-            videoManager.currentPlatform = platform;
-            videoManager.currentFilters.platform = platform;
-            if (filterOptions) filterOptions.value = platform;
-            
-            videoManager.applyFiltersAndSearch();
-            videoManager.showNotification(`Showing ${platform} videos`, 'success');
-        });
+function setupConnectionStatus() {
+    window.addEventListener('offline', () => {
+        videoManager.renderConnectionStatus();
+        videoManager.showNotification('You are offline; showing the last saved library', 'warning');
     });
+    window.addEventListener('online', () => {
+        videoManager.renderConnectionStatus();
+        videoManager.syncOfflineChanges();
+    });
+    videoManager.renderConnectionStatus();
+}
 
-    // Clear actions
-    if (clearSearchBtn) {
-        clearSearchBtn.addEventListener('click', () => {
-            videoSearch.value = '';
-            videoManager.currentSearchTerm = '';
-            videoManager.applyFiltersAndSearch();
-            videoManager.showNotification('Search cleared', 'info');
-        });
+function loadInitialVideo() {
+    // Routing starts after the first library load, so a deep link wins over the restored session
+    if (!videoManager.router) {
+        const router = new AppRouter(videoManager, videoPlayerController);
+        router.start();
+        if (router.restore()) return;
     }
+    if (videoPlayerController.currentVideoData) return;
 
-    if (clearAllFilters) {
-        clearAllFilters.addEventListener('click', () => {
-            videoSearch.value = '';
-            videoManager.currentSearchTerm = '';
-            if (filterOptions) filterOptions.value = 'all';
-            videoManager.currentFilters.platform = 'all';
-            videoManager.currentPlatform = 'all';
-            if (sortOptions) sortOptions.value = 'default';
-            videoManager.currentSortOption = 'default';
-            
-            document.querySelectorAll('.platform-tab').forEach(t => t.classList.remove('active'));
-            const allTab = document.querySelector('.platform-tab[data-platform="all"]');
-            if (allTab) allTab.classList.add('active');
-            
-            videoManager.applyFiltersAndSearch();
-            videoManager.showNotification('All filters cleared', 'success');
-        });
+    // Resume the video selected last session, otherwise start with the first one
+    const restoredVideo = videoManager.currentVideoId
+        ? videoManager.filteredVideos.find(v => v.id === videoManager.currentVideoId)
+        : null;
+    const video = restoredVideo || videoManager.filteredVideos[0];
+    if (video) {
+        videoPlayerController.loadVideo(video);
     }
+}
 
-    // Navigation
-    if (prevBtn) {
-        prevBtn.addEventListener('click', () => {
-            const video = videoManager.prevVideo();
-            if (video) {
-                videoPlayerController.loadVideo(video);
-                videoManager.showNotification(`Now playing: ${video.title}`, 'success');
-            }
-        });
-    }
+function setupSettingsPanel() {
+    const modal = document.getElementById('settingsModal');
+    const form = document.getElementById('settingsForm');
+    const settingsBtn = document.getElementById('settingsBtn');
+    const testBtn = document.getElementById('testConnectionBtn');
+    const forgetBtn = document.getElementById('forgetSettingsBtn');
+    const unlockBtn = document.getElementById('unlockSettingsBtn');
+    const clearStateBtn = document.getElementById('clearStateBtn');
 
-    if (nextBtn) {
-        nextBtn.addEventListener('click', () => {
-            const video = videoManager.nextVideo();
-            if (video) {
-                videoPlayerController.loadVideo(video);
-                videoManager.showNotification(`Now playing: ${video.title}`, 'success');
-            }
-        });
+    if (!modal || !form) return;
+
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => openSettingsPanel());
     }
 
-    // Add custom video
-    if (addCustomVideoBtn && customVideoUrl) {
-        addCustomVideoBtn.addEventListener('click', async () => {
-            const url = customVideoUrl.value.trim();
-            if (!url) {
-                videoManager.showNotification('Please enter a video URL', 'warning');
-                return;
-            }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-close-modal]')) {
+            modal.classList.remove('active');
+        }
+    });
 
-            const originalButtonText = addCustomVideoBtn.innerHTML;
-            addCustomVideoBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Adding...';
-            addCustomVideoBtn.disabled = true;
+    ['settingsBackend', 'settingsMode'].forEach(id => {
+        const field = document.getElementById(id);
+        if (field) field.addEventListener('change', updateSettingsFieldVisibility);
+    });
 
+    if (testBtn) {
+        testBtn.addEventListener('click', async () => {
+            const settings = readSettingsForm();
+            if (!validateSettingsForm(settings)) return;
+
+            setSettingsStatus('Testing connection...', 'info');
             try {
-                const video = await videoManager.addCustomVideo(url);
-                if (video) {
-                    customVideoUrl.value = '';
-                    videoPlayerController.loadVideo(video);
-                }
-            } finally {
-                addCustomVideoBtn.innerHTML = originalButtonText;
-                addCustomVideoBtn.disabled = false;
+                await videoManager.createRepository(settings).testConnection();
+                setSettingsStatus('Connection successful', 'success');
+            } catch (error) {
+                setSettingsStatus(`Connection failed: ${error.message}`, 'error');
             }
         });
+    }
 
-        customVideoUrl.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                addCustomVideoBtn.click();
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const settings = readSettingsForm();
+        if (!validateSettingsForm(settings)) return;
+
+        setSettingsStatus('Validating...', 'info');
+        try {
+            await videoManager.createRepository(settings).testConnection();
+        } catch (error) {
+            setSettingsStatus(`Connection failed: ${error.message}`, 'error');
+            return;
+        }
+
+        // Encryption needs Web Crypto and storage can be full or blocked, so either step may fail
+        const passphrase = document.getElementById('settingsPassphrase').value;
+        try {
+            await videoManager.credentialStore.save(settings, passphrase || null);
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            setSettingsStatus(`Could not save settings: ${error.message}`, 'error');
+            videoManager.showNotification('Failed to save settings: ' + error.message, 'error');
+            return;
+        }
+        document.getElementById('settingsPassphrase').value = '';
+
+        modal.classList.remove('active');
+        videoManager.showNotification('Settings saved', 'success');
+        try {
+            await videoManager.applySettings(settings);
+            loadInitialVideo();
+        } catch (error) {
+            console.error('Error applying settings:', error);
+            videoManager.showNotification('Settings were saved but could not be applied: ' + error.message, 'error');
+        }
+    });
+
+    if (unlockBtn) {
+        unlockBtn.addEventListener('click', async () => {
+            const passphraseInput = document.getElementById('unlockPassphrase');
+            try {
+                const settings = await videoManager.credentialStore.load(passphraseInput.value);
+                passphraseInput.value = '';
+                modal.classList.remove('active');
+                await videoManager.applySettings(settings, { keepLibraryCache: true });
+                loadInitialVideo();
+            } catch (error) {
+                setSettingsStatus(error.message, 'error');
             }
         });
     }
 
-    // Export functionality
-    if (exportBtn) {
-        exportBtn.addEventListener('click', () => {
-            videoManager.exportVideoList('json');
+    if (clearStateBtn) {
+        clearStateBtn.addEventListener('click', () => {
+            if (!window.confirm('Clear recently played, search history, filters and play statistics?')) return;
+            videoManager.clearApplicationState();
         });
     }
 
-    // Video list click delegation
-    if (videoList) {
-        videoList.addEventListener('click', (e) => {
-            const videoItem = e.target.closest('.video-item');
-            if (videoItem) {
-                const videoId = videoItem.dataset.videoId;
-                const video = videoManager.filteredVideos.find(v => v.id === videoId);
-                if (video) {
-                    videoPlayerController.loadVideo(video);
-                    videoManager.showNotification(`Now playing: ${video.title}`, 'success');
-                }
-            }
+    if (forgetBtn) {
+        forgetBtn.addEventListener('click', async () => {
+            if (!window.confirm('Remove saved library settings from this browser?')) return;
+            videoManager.credentialStore.clear();
+            await videoManager.clearLibraryCache();
+            fillSettingsForm(CredentialStore.getDefaults());
+            setSettingsStatus('Saved settings removed', 'info');
+            modal.classList.remove('unlocking');
         });
     }
+}
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
-            e.preventDefault();
-            if (videoSearch) {
-                videoSearch.focus();
-                videoSearch.select();
-            }
-        }
+function openSettingsPanel({ unlock = false } = {}) {
+    const modal = document.getElementById('settingsModal');
+    if (!modal) return;
 
-        if (e.key === 'Escape') {
-            if (videoSearch && document.activeElement === videoSearch) {
-                videoSearch.value = '';
-                videoManager.currentSearchTerm = '';
-                videoManager.applyFiltersAndSearch();
-            }
-        }
+    modal.classList.toggle('unlocking', unlock);
+    if (!unlock) fillSettingsForm(videoManager.settings);
+    setSettingsStatus('', 'info');
+    modal.classList.add('active');
+}
 
-        if (prevBtn && e.key === 'ArrowLeft' && !prevBtn.disabled) {
-            prevBtn.click();
-        } else if (nextBtn && e.key === 'ArrowRight' && !nextBtn.disabled) {
-            nextBtn.click();
-        } else if (e.key === ' ' && document.querySelector('.video-container video')) {
-            e.preventDefault();
-            const videoElement = document.querySelector('.video-container video');
-            if (videoElement.paused) {
-                videoElement.play();
-            } else {
-                videoElement.pause();
-            }
-        }
-    });
+function fillSettingsForm(settings) {
+    document.getElementById('settingsBackend').value = settings.backend;
+    document.getElementById('settingsMode').value = settings.mode;
+    document.getElementById('settingsBaseId').value = settings.baseId || '';
+    document.getElementById('settingsTableName').value = settings.tableName || '';
+    document.getElementById('settingsToken').value = settings.token || '';
+    document.getElementById('settingsPublicUrl').value = settings.publicUrl || '';
+    updateSettingsFieldVisibility();
+}
 
-    // Setup lazy loading
-    videoManager.performanceOptimizer.setupLazyLoading();
+function readSettingsForm() {
+    return {
+        backend: document.getElementById('settingsBackend').value,
+        mode: document.getElementById('settingsMode').value,
+        baseId: document.getElementById('settingsBaseId').value.trim(),
+        tableName: document.getElementById('settingsTableName').value.trim(),
+        token: document.getElementById('settingsToken').value.trim(),
+        publicUrl: document.getElementById('settingsPublicUrl').value.trim()
+    };
+}
 
-    // Handle page visibility changes
-    document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-            videoManager.performanceOptimizer.cleanup();
-        }
+function validateSettingsForm(settings) {
+    const errors = CredentialStore.validate(settings);
+    if (errors.length > 0) {
+        setSettingsStatus(errors.join('. '), 'error');
+        return false;
+    }
+    return true;
+}
+
+function updateSettingsFieldVisibility() {
+    const backend = document.getElementById('settingsBackend').value;
+    const mode = document.getElementById('settingsMode').value;
+
+    document.querySelectorAll('[data-settings-scope]').forEach(field => {
+        const scope = field.dataset.settingsScope;
+        const visible = backend === 'airtable' && (scope === 'airtable' || scope === mode);
+        field.style.display = visible ? '' : 'none';
     });
 }
 
+function setSettingsStatus(message, type) {
+    const status = document.getElementById('settingsStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.className = `settings-status ${message ? type : ''}`;
+}
+
 async function init() {
     try {
         createFloatingParticles();
@@ -2225,13 +8316,21 @@ async function init() {
         videoPlayerController = new EnhancedVideoPlayer(videoManager);
         
         setupEventListeners();
+        setupSearchSuggestions();
+        setupImportDialog();
+        setupHealthReport();
+        setupVideoEditor();
+        setupPlaylistControls();
+        setupSettingsPanel();
+        setupConnectionStatus();
+        setupSyncReview();
         
-        await videoManager.loadVideos();
-        
-        // Load the first video if one exists and none is currently selected
-        if (videoManager.filteredVideos.length > 0 && !videoManager.currentVideoId) {
-            const firstVideo = videoManager.filteredVideos[0];
-            videoPlayerController.loadVideo(firstVideo);
+        const ready = await restoreSettings();
+        if (ready) {
+            await videoManager.loadVideos();
+            loadInitialVideo();
+            // Changes queued during an earlier offline session go out as soon as we're back
+            videoManager.syncOfflineChanges();
         }
         
         videoManager.showNotification('Enhanced Universal Video Player Initialized!', 'success');
@@ -2259,22 +8358,8 @@ if (document.readyState === 'loading') {
 }
 
 // Global functions for HTML onclick handlers
-window.removeFilter = function(type) {
-    if (type === 'search') {
-        const videoSearch = document.getElementById('videoSearch');
-        if (videoSearch) {
-            videoSearch.value = '';
-            videoManager.currentSearchTerm = '';
-        }
-    } else if (type === 'platform') {
-        const filterOptions = document.getElementById('filterOptions');
-        if (filterOptions) {
-            filterOptions.value = 'all';
-            videoManager.currentFilters.platform = 'all';
-            videoManager.currentPlatform = 'all';
-        }
-    }
-    videoManager.applyFiltersAndSearch();
+window.removeFilter = function(type, value) {
+    videoManager.removeFilter(type, value);
 };
 
 window.clearAllFiltersAndSearch = function() {
@@ -2287,8 +8372,7 @@ window.clearAllFiltersAndSearch = function() {
 // API Key Configuration
 window.setAirtableApiKey = function(apiKey) {
     if (apiKey && apiKey.startsWith('pat')) {
-        videoManager.services.airtable = new AirtableService(apiKey);
-        videoManager.searchService = new SearchService(videoManager.services.airtable);
+        videoManager.applySettings({ ...videoManager.settings, backend: 'airtable', mode: 'private', token: apiKey });
         videoManager.showNotification('Airtable API key configured successfully', 'success');
         return true;
     } else {
@@ -2320,7 +8404,8 @@ window.VideoManager = EnhancedVideoManager;
 window.VideoPlayer = EnhancedVideoPlayer;
 window.PerformanceUtils = PerformanceUtils;
 
-// Service Worker registration for offline functionality
+// Service worker for the offline app shell, library snapshot and thumbnails.
+// Registered relative to the page so the app also works from a sub-path.
 if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('/sw.js').catch(console.error);
+    navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER_URL).catch(console.error);
 }
\ No newline at end of file
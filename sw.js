@@ -0,0 +1,129 @@
+// ==================== ONLINEHUB SERVICE WORKER ====================
+// Precaches the app shell, keeps the last library snapshot and thumbnails, and serves
+// them when the network is gone. Bump CACHE_VERSION whenever the shell files change.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `onlinehub-shell-${CACHE_VERSION}`;
+// The page deletes this one whenever the library settings or credentials change
+const LIBRARY_CACHE = `onlinehub-library-${CACHE_VERSION}`;
+const THUMBNAIL_CACHE = `onlinehub-thumbnails-${CACHE_VERSION}`;
+// Browsers pad each opaque (no-cors) response to several MB of quota, so the
+// cross-origin thumbnails that come back opaque get their own, much smaller cache
+const OPAQUE_THUMBNAIL_CACHE = `onlinehub-opaque-thumbnails-${CACHE_VERSION}`;
+const MAX_THUMBNAILS = 200;
+const MAX_OPAQUE_THUMBNAILS = 20;
+
+const SHELL_FILES = ['./', 'index.html', 'style.css', 'script.js'];
+// The font files these stylesheets point at are cached the first time they load
+const FONT_STYLESHEETS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&family=Roboto:wght@400;500;700&display=swap'
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+const LIBRARY_HOSTS = ['api.airtable.com'];
+// Same-origin pages, code and fetch() calls; media files stay out of the cache
+const SHELL_DESTINATIONS = ['document', 'script', 'style', 'manifest', ''];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        // A CDN hiccup shouldn't stop the worker from installing
+        await Promise.all(FONT_STYLESHEETS.map(url => cache.add(url).catch(error => {
+            console.warn(`Could not precache ${url}:`, error);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, LIBRARY_CACHE, THUMBNAIL_CACHE, OPAQUE_THUMBNAIL_CACHE];
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('onlinehub-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Writes always go to the network; the page queues them itself while offline.
+    // Range requests are media streaming, which is far too large to keep.
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (LIBRARY_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request, LIBRARY_CACHE));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, THUMBNAIL_CACHE, MAX_THUMBNAILS, {
+            cacheName: OPAQUE_THUMBNAIL_CACHE,
+            maxEntries: MAX_OPAQUE_THUMBNAILS
+        }));
+    } else if (url.origin === self.location.origin && SHELL_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// Fresh data when online, the last good copy when not
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (cached) return cached;
+        // The shell is one page, so any offline navigation can be answered with it
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html', { cacheName: SHELL_CACHE });
+            if (shell) return shell;
+        }
+        return offlineResponse();
+    }
+}
+
+// Thumbnails and fonts never change at a given URL, so the cache can answer first.
+// Opaque responses (status 0) are only kept when an opaque cache is given.
+async function cacheFirst(request, cacheName, maxEntries = 0, opaque = null) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const opaqueCache = opaque ? await caches.open(opaque.cacheName) : null;
+    const cachedOpaque = opaqueCache ? await opaqueCache.match(request) : null;
+    if (cachedOpaque) return cachedOpaque;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await putAndTrim(cache, request, response.clone(), maxEntries);
+        } else if (response.type === 'opaque' && opaqueCache) {
+            await putAndTrim(opaqueCache, request, response.clone(), opaque.maxEntries);
+        }
+        return response;
+    } catch (error) {
+        return offlineResponse();
+    }
+}
+
+async function putAndTrim(cache, request, response, maxEntries) {
+    await cache.put(request, response);
+    if (maxEntries > 0) await trimCache(cache, maxEntries);
+}
+
+// Cache keys come back in insertion order, so the oldest entries go first
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+function offlineResponse() {
+    return new Response(JSON.stringify({ error: { type: 'OFFLINE', message: 'You are offline and this was not saved for offline use' } }), {
+        status: 503,
+        statusText: 'Offline',
+        headers: { 'Content-Type': 'application/json' }
+    });
+}